@@ -0,0 +1,99 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Finds solar eclipses and their contact times from Besselian
+ * elements, for SunLayer.js and SunLayer2.js.
+ */
+
+var SunEclipses = {};
+
+// Returns the Besselian elements of the eclipse in progress or next to come
+// at time t (in seconds), or null if past the last of definitions.
+SunEclipses.getDefinition = function(definitions, t) {
+  for (var i = 0; i < definitions.length; i++) {
+    if (definitions[i].t0 + 4 * 3600 > t) {
+      return definitions[i];
+    }
+  }
+  return null;
+};
+
+// Returns CanvasLayerTimeline markers for the start, greatest eclipse and end
+// of the eclipse with the Besselian elements bessel. Start and end are when
+// the penumbra first and last touches the Earth, treated as a sphere. Returns
+// an empty array if bessel is null or the penumbra misses the Earth.
+SunEclipses.getMarkers = function(bessel) {
+  if (!bessel) {
+    return [];
+  }
+
+  function poly(val, t) {
+    return val[0] + t * val[1] + t*t*val[2] + t*t*t*val[3];
+  }
+
+  // distance of the shadow axis from the Earth's center, in Earth radii, and
+  // how far the penumbra is from touching it, at t hours from t0
+  function axisDistance(t) {
+    var x = poly(bessel.x, t);
+    var y = poly(bessel.y, t);
+    return Math.sqrt(x * x + y * y);
+  }
+  function gap(t) {
+    return axisDistance(t) - poly(bessel.l1, t) - 1;
+  }
+
+  function contact(t0, t1) {
+    for (var i = 0; i < 30; i++) {
+      var mid = (t0 + t1) / 2;
+      if ((gap(mid) > 0) === (gap(t0) > 0)) {
+        t0 = mid;
+      } else {
+        t1 = mid;
+      }
+    }
+    return (t0 + t1) / 2;
+  }
+
+  // the elements are good for 4 hours either side of t0; scan by minute
+  var greatest = -4;
+  var begin = null;
+  var end = null;
+  for (var t = -4; t < 4; t += 1 / 60) {
+    if (axisDistance(t) < axisDistance(greatest)) {
+      greatest = t;
+    }
+    if (gap(t) > 0 && gap(t + 1 / 60) <= 0) {
+      begin = contact(t, t + 1 / 60);
+    } else if (gap(t) <= 0 && gap(t + 1 / 60) > 0) {
+      end = contact(t, t + 1 / 60);
+    }
+  }
+
+  if (begin === null || end === null) {
+    return [];
+  }
+
+  function toTime(t) {
+    return (bessel.t0 + t * 3600) * 1000;
+  }
+
+  return [
+    {time: toTime(begin), label: 'Eclipse begins'},
+    {time: toTime(greatest), label: 'Greatest eclipse'},
+    {time: toTime(end), label: 'Eclipse ends'}
+  ];
+};
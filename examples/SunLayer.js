@@ -15,563 +15,26 @@
  */
 
 /**
- * @fileoverview Extends OverlayView to provide a canvas "Layer".
- * @author Brendan Kenny
+ * @fileoverview A CanvasLayer that shades the night side of the earth and the
+ * shadow of upcoming solar eclipses. Requires CanvasLayer.js,
+ * CanvasLayerProgram.js, CanvasLayerResources.js and SunEclipses.js.
  */
 
-/**
- * A map layer that provides a canvas over the slippy map and a callback
- * system for efficient animation. Requires canvas and CSS 2D transform
- * support.
- * @constructor
- * @extends google.maps.OverlayView
- * @param {CanvasLayerOptions=} opt_options Options to set in this CanvasLayer.
- */
-function CanvasLayer(opt_options) {
-  /**
-   * If true, canvas is in a map pane and the OverlayView is fully functional.
-   * See google.maps.OverlayView.onAdd for more information.
-   * @type {boolean}
-   * @private
-   */
-  this.isAdded_ = false;
-
-  /**
-   * If true, each update will immediately schedule the next.
-   * @type {boolean}
-   * @private
-   */
-  this.isAnimated_ = false;
-
-  /**
-   * The name of the MapPane in which this layer will be displayed.
-   * @type {string}
-   * @private
-   */
-  this.paneName_ = CanvasLayer.DEFAULT_PANE_NAME_;
-
-  /**
-   * A user-supplied function called whenever an update is required. Null or
-   * undefined if a callback is not provided.
-   * @type {?function=}
-   * @private
-   */
-  this.updateHandler_ = null;
-
-  /**
-   * A user-supplied function called whenever an update is required and the
-   * map has been resized since the last update. Null or undefined if a
-   * callback is not provided.
-   * @type {?function}
-   * @private
-   */
-  this.resizeHandler_ = null;
-
-  /**
-   * The LatLng coordinate of the top left of the current view of the map. Will
-   * be null when this.isAdded_ is false.
-   * @type {google.maps.LatLng}
-   * @private
-   */
-  this.topLeft_ = null;
-
-  /**
-   * The map-pan event listener. Will be null when this.isAdded_ is false. Will
-   * be null when this.isAdded_ is false.
-   * @type {?function}
-   * @private
-   */
-  this.centerListener_ = null;
-
-  /**
-   * The map-resize event listener. Will be null when this.isAdded_ is false.
-   * @type {?function}
-   * @private
-   */
-  this.resizeListener_ = null;
-
-  /**
-   * If true, the map size has changed and this.resizeHandler_ must be called
-   * on the next update.
-   * @type {boolean}
-   * @private
-   */
-  this.needsResize_ = true;
-
-  /**
-   * A browser-defined id for the currently requested callback. Null when no
-   * callback is queued.
-   * @type {?number}
-   * @private
-   */
-  this.requestAnimationFrameId_ = null;
-
-  var canvas = document.createElement('canvas');
-  canvas.style.position = 'absolute';
-  canvas.style.top = 0;
-  canvas.style.left = 0;
-
-  /**
-   * The canvas element.
-   * @type {!HTMLCanvasElement}
-   */
-  this.canvas = canvas;
-
-  /**
-   * The CSS width of the canvas, which may be different than the width of the
-   * backing store.
-   * @private {number}
-   */
-  this.canvasCssWidth_ = 300;
-
-  /**
-   * The CSS height of the canvas, which may be different than the height of
-   * the backing store.
-   * @private {number}
-   */
-  this.canvasCssHeight_ = 150;
-
-  /**
-   * A value for scaling the CanvasLayer resolution relative to the CanvasLayer
-   * display size.
-   * @private {number}
-   */
-  this.resolutionScale_ = 1;
-
-  /**
-   * Simple bind for functions with no args for bind-less browsers (Safari).
-   * @param {Object} thisArg The this value used for the target function.
-   * @param {function} func The function to be bound.
-   */
-  function simpleBindShim(thisArg, func) {
-    return function() { return func.apply(thisArg); };
-  }
-
-  /**
-   * A reference to this.repositionCanvas_ with this bound as its this value.
-   * @type {function}
-   * @private
-   */
-  this.repositionFunction_ = simpleBindShim(this, this.repositionCanvas_);
-
-  /**
-   * A reference to this.resize_ with this bound as its this value.
-   * @type {function}
-   * @private
-   */
-  this.resizeFunction_ = simpleBindShim(this, this.resize_);
-
-  /**
-   * A reference to this.update_ with this bound as its this value.
-   * @type {function}
-   * @private
-   */
-  this.requestUpdateFunction_ = simpleBindShim(this, this.update_);
-
-  // set provided options, if any
-  if (opt_options) {
-    this.setOptions(opt_options);
-  }
-}
-
-CanvasLayer.prototype = new google.maps.OverlayView();
-
-/**
- * The default MapPane to contain the canvas.
- * @type {string}
- * @const
- * @private
- */
-CanvasLayer.DEFAULT_PANE_NAME_ = 'overlayLayer';
-
-/**
- * Transform CSS property name, with vendor prefix if required. If browser
- * does not support transforms, property will be ignored.
- * @type {string}
- * @const
- * @private
- */
-CanvasLayer.CSS_TRANSFORM_ = (function() {
-  var div = document.createElement('div');
-  var transformProps = [
-    'transform',
-    'WebkitTransform',
-    'MozTransform',
-    'OTransform',
-    'msTransform'
-  ];
-  for (var i = 0; i < transformProps.length; i++) {
-    var prop = transformProps[i];
-    if (div.style[prop] !== undefined) {
-      return prop;
-    }
-  }
-
-  // return unprefixed version by default
-  return transformProps[0];
-})();
-
-/**
- * The requestAnimationFrame function, with vendor-prefixed or setTimeout-based
- * fallbacks. MUST be called with window as thisArg.
- * @type {function}
- * @param {function} callback The function to add to the frame request queue.
- * @return {number} The browser-defined id for the requested callback.
- * @private
- */
-CanvasLayer.prototype.requestAnimFrame_ =
-    window.requestAnimationFrame ||
-    window.webkitRequestAnimationFrame ||
-    window.mozRequestAnimationFrame ||
-    window.oRequestAnimationFrame ||
-    window.msRequestAnimationFrame ||
-    function(callback) {
-      return window.setTimeout(callback, 1000 / 60);
-    };
-
-/**
- * The cancelAnimationFrame function, with vendor-prefixed fallback. Does not
- * fall back to clearTimeout as some platforms implement requestAnimationFrame
- * but not cancelAnimationFrame, and the cost is an extra frame on onRemove.
- * MUST be called with window as thisArg.
- * @type {function}
- * @param {number=} requestId The id of the frame request to cancel.
- * @private
- */
-CanvasLayer.prototype.cancelAnimFrame_ =
-    window.cancelAnimationFrame ||
-    window.webkitCancelAnimationFrame ||
-    window.mozCancelAnimationFrame ||
-    window.oCancelAnimationFrame ||
-    window.msCancelAnimationFrame ||
-    function(requestId) {};
-
-/**
- * Sets any options provided. See CanvasLayerOptions for more information.
- * @param {CanvasLayerOptions} options The options to set.
- */
-CanvasLayer.prototype.setOptions = function(options) {
-  if (options.animate !== undefined) {
-    this.setAnimate(options.animate);
-  }
-
-  if (options.paneName !== undefined) {
-    this.setPaneName(options.paneName);
-  }
-
-  if (options.updateHandler !== undefined) {
-    this.setUpdateHandler(options.updateHandler);
-  }
-
-  if (options.resizeHandler !== undefined) {
-    this.setResizeHandler(options.resizeHandler);
-  }
-
-  if (options.resolutionScale !== undefined) {
-    this.setResolutionScale(options.resolutionScale);
-  }
-
-  if (options.map !== undefined) {
-    this.setMap(options.map);
-  }
-};
-
-/**
- * Set the animated state of the layer. If true, updateHandler will be called
- * repeatedly, once per frame. If false, updateHandler will only be called when
- * a map property changes that could require the canvas content to be redrawn.
- * @param {boolean} animate Whether the canvas is animated.
- */
-CanvasLayer.prototype.setAnimate = function(animate) {
-  this.isAnimated_ = !!animate;
-
-  if (this.isAnimated_) {
-    this.scheduleUpdate();
-  }
-};
-
-/**
- * @return {boolean} Whether the canvas is animated.
- */
-CanvasLayer.prototype.isAnimated = function() {
-  return this.isAnimated_;
-};
-
-/**
- * Set the MapPane in which this layer will be displayed, by name. See
- * {@code google.maps.MapPanes} for the panes available.
- * @param {string} paneName The name of the desired MapPane.
- */
-CanvasLayer.prototype.setPaneName = function(paneName) {
-  this.paneName_ = paneName;
-
-  this.setPane_();
-};
-
-/**
- * @return {string} The name of the current container pane.
- */
-CanvasLayer.prototype.getPaneName = function() {
-  return this.paneName_;
-};
-
-/**
- * Adds the canvas to the specified container pane. Since this is guaranteed to
- * execute only after onAdd is called, this is when paneName's existence is
- * checked (and an error is thrown if it doesn't exist).
- * @private
- */
-CanvasLayer.prototype.setPane_ = function() {
-  if (!this.isAdded_) {
-    return;
-  }
-
-  // onAdd has been called, so panes can be used
-  var panes = this.getPanes();
-  if (!panes[this.paneName_]) {
-    throw new Error('"' + this.paneName_ + '" is not a valid MapPane name.');
-  }
-
-  panes[this.paneName_].appendChild(this.canvas);
-};
-
-/**
- * Set a function that will be called whenever the parent map and the overlay's
- * canvas have been resized. If opt_resizeHandler is null or unspecified, any
- * existing callback is removed.
- * @param {?function=} opt_resizeHandler The resize callback function.
- */
-CanvasLayer.prototype.setResizeHandler = function(opt_resizeHandler) {
-  this.resizeHandler_ = opt_resizeHandler;
-};
-
-/**
- * Sets a value for scaling the canvas resolution relative to the canvas
- * display size. This can be used to save computation by scaling the backing
- * buffer down, or to support high DPI devices by scaling it up (by e.g.
- * window.devicePixelRatio).
- * @param {number} scale
- */
-CanvasLayer.prototype.setResolutionScale = function(scale) {
-  if (typeof scale === 'number') {
-    this.resolutionScale_ = scale;
-    this.resize_();
-  }
-};
-
-/**
- * Set a function that will be called when a repaint of the canvas is required.
- * If opt_updateHandler is null or unspecified, any existing callback is
- * removed.
- * @param {?function=} opt_updateHandler The update callback function.
- */
-CanvasLayer.prototype.setUpdateHandler = function(opt_updateHandler) {
-  this.updateHandler_ = opt_updateHandler;
-};
-
-/**
- * @inheritDoc
- */
-CanvasLayer.prototype.onAdd = function() {
-  if (this.isAdded_) {
-    return;
-  }
-
-  this.isAdded_ = true;
-  this.setPane_();
-
-  this.resizeListener_ = google.maps.event.addListener(this.getMap(),
-      'bounds_changed', this.resizeFunction_);
-  this.centerListener_ = google.maps.event.addListener(this.getMap(),
-      'bounds_changed', this.repositionFunction_);
-
-  this.resize_();
-  this.repositionCanvas_();
-};
-
-/**
- * @inheritDoc
- */
-CanvasLayer.prototype.onRemove = function() {
-  if (!this.isAdded_) {
-    return;
-  }
-
-  this.isAdded_ = false;
-  this.topLeft_ = null;
-
-  // remove canvas and listeners for pan and resize from map
-  this.canvas.parentElement.removeChild(this.canvas);
-  if (this.centerListener_) {
-    google.maps.event.removeListener(this.centerListener_);
-    this.centerListener_ = null;
-  }
-  if (this.resizeListener_) {
-    google.maps.event.removeListener(this.resizeListener_);
-    this.resizeListener_ = null;
-  }
-
-  // cease canvas update callbacks
-  if (this.requestAnimationFrameId_) {
-    this.cancelAnimFrame_.call(window, this.requestAnimationFrameId_);
-    this.requestAnimationFrameId_ = null;
-  }
-};
-
-/**
- * The internal callback for resize events that resizes the canvas to keep the
- * map properly covered.
- * @private
- */
-CanvasLayer.prototype.resize_ = function() {
-  if (!this.isAdded_) {
-    return;
-  }
-
-  var map = this.getMap();
-  var mapWidth = map.getDiv().offsetWidth;
-  var mapHeight = map.getDiv().offsetHeight;
-
-  var newWidth = mapWidth * this.resolutionScale_;
-  var newHeight = mapHeight * this.resolutionScale_;
-  var oldWidth = this.canvas.width;
-  var oldHeight = this.canvas.height;
-
-  // resizing may allocate a new back buffer, so do so conservatively
-  if (oldWidth !== newWidth || oldHeight !== newHeight) {
-    this.canvas.width = newWidth;
-    this.canvas.height = newHeight;
-
-    this.needsResize_ = true;
-    this.scheduleUpdate();
-  }
-
-  // reset styling if new sizes don't match; resize of data not needed
-  if (this.canvasCssWidth_ !== mapWidth ||
-      this.canvasCssHeight_ !== mapHeight) {
-    this.canvasCssWidth_ = mapWidth;
-    this.canvasCssHeight_ = mapHeight;
-    this.canvas.style.width = mapWidth + 'px';
-    this.canvas.style.height = mapHeight + 'px';
-  }
-};
-
-/**
- * @inheritDoc
- */
-CanvasLayer.prototype.draw = function() {
-  this.repositionCanvas_();
-};
-
-/**
- * Internal callback for map view changes. Since the Maps API moves the overlay
- * along with the map, this function calculates the opposite translation to
- * keep the canvas in place.
- * @private
- */
-CanvasLayer.prototype.repositionCanvas_ = function() {
-  // TODO(bckenny): *should* only be executed on RAF, but in current browsers
-  //     this causes noticeable hitches in map and overlay relative
-  //     positioning.
-
-  var map = this.getMap();
-
-  // topLeft can't be calculated from map.getBounds(), because bounds are
-  // clamped to -180 and 180 when completely zoomed out. Instead, calculate
-  // left as an offset from the center, which is an unwrapped LatLng.
-  var top = map.getBounds().getNorthEast().lat();
-  var center = map.getCenter();
-  var scale = Math.pow(2, map.getZoom());
-  var left = center.lng() - (this.canvasCssWidth_ * 180) / (256 * scale);
-  this.topLeft_ = new google.maps.LatLng(top, left);
-
-  // Canvas position relative to draggable map's container depends on
-  // overlayView's projection, not the map's. Have to use the center of the
-  // map for this, not the top left, for the same reason as above.
-  var projection = this.getProjection();
-  var divCenter = projection.fromLatLngToDivPixel(center);
-  var offsetX = -Math.round(this.canvasCssWidth_ / 2 - divCenter.x);
-  var offsetY = -Math.round(this.canvasCssHeight_ / 2 - divCenter.y);
-  this.canvas.style[CanvasLayer.CSS_TRANSFORM_] = 'translate(' +
-      offsetX + 'px,' + offsetY + 'px)';
-
-  this.scheduleUpdate();
-};
-
-/**
- * Internal callback that serves as main animation scheduler via
- * requestAnimationFrame. Calls resize and update callbacks if set, and
- * schedules the next frame if overlay is animated.
- * @private
- */
-CanvasLayer.prototype.update_ = function() {
-  this.requestAnimationFrameId_ = null;
-
-  if (!this.isAdded_) {
-    return;
-  }
-
-  if (this.isAnimated_) {
-    this.scheduleUpdate();
-  }
-
-  if (this.needsResize_ && this.resizeHandler_) {
-    this.needsResize_ = false;
-    this.resizeHandler_();
-  }
-
-  if (this.updateHandler_) {
-    this.updateHandler_();
-  }
-};
-
-/**
- * A convenience method to get the current LatLng coordinate of the top left of
- * the current view of the map.
- * @return {google.maps.LatLng} The top left coordinate.
- */
-CanvasLayer.prototype.getTopLeft = function() {
-  return this.topLeft_;
-};
-
-/**
- * Schedule a requestAnimationFrame callback to updateHandler. If one is
- * already scheduled, there is no effect.
- */
-CanvasLayer.prototype.scheduleUpdate = function() {
-  if (this.isAdded_ && !this.requestAnimationFrameId_) {
-    this.requestAnimationFrameId_ =
-        this.requestAnimFrame_.call(window, this.requestUpdateFunction_);
-  }
-};
-
-
-
-
-
 function SunLayer(opt_options) {
   var canvasLayerOptions = {
     animate: false,
+    contextType: 'webgl'
   };
   CanvasLayer.call(this, canvasLayerOptions);
 
-  this.generation = 0;
-
+  // CanvasLayer resizes and redraws once the resources are recreated
   var theThis = this;
+  this.addListener('contextrestored', function() {
+    theThis.initialize();
+  });
 
-  this.canvas.addEventListener(
-        "webglcontextlost", function(event) {
-          event.preventDefault();
-          theThis.generation += 1;
-        }, false);
-
-  this.canvas.addEventListener(
-        "webglcontextrestored", function(event) {
-          event.preventDefault();
-          theThis.initialize.apply(theThis);
-          theThis.resizeHandler_.apply(theThis);
-          theThis.scheduleUpdate.apply(theThis);
-        }, false);
+  // the GPU resources, released when replaced and when the layer is disposed
+  this.resources = new CanvasLayerResources(this);
 
   this.cityLights = 1;
 
@@ -639,23 +102,49 @@ SunLayer.prototype.setCurrentTime = function(fn) {
 }
 
 
+// Returns the Besselian elements of the eclipse in progress or next to come
+// at time t (in seconds), or null if past the last one known.
+SunLayer.prototype.getEclipseDefinition = function(t) {
+  return SunEclipses.getDefinition(this.eclipseDefinitions, t);
+}
+
+// Returns CanvasLayerTimeline markers for the start, greatest eclipse and end
+// of the solar eclipse in progress or next to come at opt_time (in
+// milliseconds, like the clock; default is the layer's current time), or an
+// empty array if there is none. See SunEclipses.getMarkers.
+SunLayer.prototype.getEclipseMarkers = function(opt_time) {
+  var clock = this.getClock();
+  var time = opt_time !== undefined ? opt_time / 1000 :
+      clock ? clock.getTime() / 1000 : this.getCurrentTime();
+  return SunEclipses.getMarkers(this.getEclipseDefinition(time));
+}
+
 SunLayer.prototype.initialize = function () {
       var gl;
+      var resources = this.resources;
 
       var pointProgram;
       var point_count = 0;
       var updateTimeout = 0;
 
-      var loaddata_bounds;
+      var dataLoaded = false;
       var textureUpdate = null;
       var loadedCity = null;
       var loadedTextureInfo = null;
 
       var canvasId = 0;
-      var generation = this.generation;
+
+      // Drop the listeners from any previous initialization (i.e. before the
+      // context was lost). Image loads it started see they're stale by this.
+      if (this.sunListeners) {
+        for (var i = 0; i < this.sunListeners.length; i++) {
+          this.sunListeners[i].remove();
+        }
+      }
+      var listeners = this.sunListeners = [];
 
       function simpleBindShim(thisArg, func) {
-        return function() { return func.apply(thisArg); };
+        return function() { return func.apply(thisArg, arguments); };
       }
 
       var all_bessel = [
@@ -708,16 +197,11 @@ SunLayer.prototype.initialize = function () {
 {"tanf2":0.0045764,"t0":2131066717.2,"d":[21.7824306,-0.006046,-5e-06,0],"x":[0.141501,0.5635997,1e-07,-8.7e-06],"y":[-0.733707,-0.0318217,-0.0001131,4e-07],"l1":[0.538383,-0.0001101,-1.2e-05,0],"deltat":"82.8","l2":[-0.007716,-0.0001096,-1.19e-05,0],"tanf1":0.0045993,"mu":[223.5501251,15.0002298,0,0]}
       ];
 
-      function getEclipseDefinition(t) {
-        for (var i = 0; i < all_bessel.length; i++) {
-          if (all_bessel[i].t0 + 4 * 3600 > t) {
-            return all_bessel[i];
-          }
-        }
-        return null;
-      }
+      this.eclipseDefinitions = all_bessel;
 
-      var bessel = getEclipseDefinition(this.getCurrentTime());
+      // chosen for the time of each frame, in update, so seeking a clock
+      // across eclipses works
+      var bessel = null;
 
       function getElements(t1) {
         var t = (t1 - bessel.t0) / 3600;
@@ -728,39 +212,24 @@ SunLayer.prototype.initialize = function () {
           if (Array.isArray(val)) {
             result[ele] = val[0] + t * val[1] + t*t*val[2] + t*t*t*val[3];
           } else {
-            result[ele] = val;
+            // deltat is given as a string
+            result[ele] = Number(val);
           }
         }
 
         return result;
       }
 
-      gl = this.canvas.getContext('webgl') || this.canvas.getContext('experimental-webgl');
+      gl = this.getContext();
 
       if (!gl) {
         return;
       }
 
-      if (0) {
-        var loseExtension = gl.getExtension('WEBGL_lose_context');
-
-        window.setTimeout(function() {
-          loseExtension.loseContext();
-        }, 15 * 1000);
-
-        window.setTimeout(function() {
-          loseExtension.restoreContext();
-        }, 20 * 1000);
-      }
-
       createShaderProgram();
 
       var start = this.getCurrentTime();
 
-      var pixelsToWebGLMatrix = new Float32Array(16);
-      var mapMatrix = new Float32Array(16);
-
-      var resolutionScale = window.devicePixelRatio || 1;
 
       var fmod = function (d, v) {
         var q = Math.floor(d / v);
@@ -820,8 +289,6 @@ SunLayer.prototype.initialize = function () {
       }
 
       function createShaderProgram() {
-        // create vertex shader
-        //var vertexSrc = document.getElementById('pointVertexShader').text;
         var vertexSrc = `
       attribute vec4 worldCoord;
       attribute vec2 latlngCoord;
@@ -846,12 +313,7 @@ SunLayer.prototype.initialize = function () {
         v_latlng = latlngCoord;
       }
         `;
-        var vertexShader = gl.createShader(gl.VERTEX_SHADER);
-        gl.shaderSource(vertexShader, vertexSrc);
-        gl.compileShader(vertexShader);
 
-        // create fragment shader
-        //var fragmentSrc = document.getElementById('pointFragmentShader').text;
         var fragmentSrc = `
       precision mediump float;
 
@@ -963,22 +425,15 @@ SunLayer.prototype.initialize = function () {
         }
       }
         `;
-        var fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-        gl.shaderSource(fragmentShader, fragmentSrc);
-        gl.compileShader(fragmentShader);
 
-        var errorMessage = gl.getShaderInfoLog(fragmentShader);
-        if (errorMessage) {
-          console.log('Frag shader error: ' + errorMessage);
-        }
-
-        // link shaders to create our program
-        pointProgram = gl.createProgram();
-        gl.attachShader(pointProgram, vertexShader);
-        gl.attachShader(pointProgram, fragmentShader);
-        gl.linkProgram(pointProgram);
+        // compile and link, throwing an error showing the failing source lines
+        // if either shader is broken
+        pointProgram = resources.createProgram({
+          vertexSource: vertexSrc,
+          fragmentSource: fragmentSrc
+        });
 
-        gl.useProgram(pointProgram);
+        pointProgram.use();
       }
 
       function centerCoord(v, scale) {
@@ -993,6 +448,7 @@ SunLayer.prototype.initialize = function () {
         var scale = Math.pow(2, this.map.zoom);
         var width = this.canvas.width;
         var height = this.canvas.height;
+        var resolutionScale = this.getResolutionScale();
 
         var tl = mapProjection.fromLatLngToPoint(this.getTopLeft());
         var br = { x:tl.x + width / resolutionScale / scale , y: tl.y + height / resolutionScale / scale };
@@ -1030,25 +486,28 @@ SunLayer.prototype.initialize = function () {
           point_count = i * 2;
         }
 
+        // the buffers of the previous view are no longer needed
+        resources.releaseScope('geometry');
+
         // create webgl buffer, bind it, and load rawData into it
-        var pointArrayBuffer = gl.createBuffer();
+        var pointArrayBuffer = resources.createBuffer('geometry');
         gl.bindBuffer(gl.ARRAY_BUFFER, pointArrayBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, rawData, gl.STATIC_DRAW);
 
         // enable the 'worldCoord' attribute in the shader to receive buffer
-        var attributeLoc = gl.getAttribLocation(pointProgram, 'worldCoord');
+        var attributeLoc = pointProgram.getAttribLocation('worldCoord');
         gl.enableVertexAttribArray(attributeLoc);
 
         // tell webgl how buffer is laid out (pairs of x,y coords)
         gl.vertexAttribPointer(attributeLoc, 2, gl.FLOAT, false, 0, 0);
 
         // create webgl buffer, bind it, and load llData into it
-        var llArrayBuffer = gl.createBuffer();
+        var llArrayBuffer = resources.createBuffer('geometry');
         gl.bindBuffer(gl.ARRAY_BUFFER, llArrayBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, llData, gl.STATIC_DRAW);
 
         // enable the 'worldCoord' attribute in the shader to receive buffer
-        var attributeLoc = gl.getAttribLocation(pointProgram, 'latlngCoord');
+        var attributeLoc = pointProgram.getAttribLocation('latlngCoord');
         gl.enableVertexAttribArray(attributeLoc);
 
         // tell webgl how buffer is laid out (pairs of x,y coords)
@@ -1078,7 +537,9 @@ SunLayer.prototype.initialize = function () {
             xOff: xOff,
             yOff: yOff,
             zoom: zoom,
-            is_current: simpleBindShim(this, function(c) { return this.generation == generation })
+            is_current: simpleBindShim(this, function(c) {
+              return this.sunListeners === listeners && !this.isContextLost();
+            })
           };
 
           if (loadedCity) {
@@ -1138,7 +599,9 @@ SunLayer.prototype.initialize = function () {
 
       function dobindTexture(canvas, newCity) {
         if (newCity === loadedCity) {
-          var texture = gl.createTexture();
+          // replaces the texture of the previous view
+          resources.releaseScope('cityLights');
+          var texture = resources.createTexture('cityLights');
           gl.bindTexture(gl.TEXTURE_2D, texture);
           gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
           gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
@@ -1148,12 +611,14 @@ SunLayer.prototype.initialize = function () {
 
           gl.activeTexture(gl.TEXTURE0);
           gl.bindTexture(gl.TEXTURE_2D, texture);
-          gl.uniform1i(gl.getUniformLocation(pointProgram, 'u_cityLights'), 0);
-          
+
           loadedTextureInfo = newCity.textureInfo;
 
-          gl.uniform2fv(gl.getUniformLocation(pointProgram, "u_tl"), loadedTextureInfo.u_tl);
-          gl.uniform2fv(gl.getUniformLocation(pointProgram, "u_tl_scale"), loadedTextureInfo.u_tl_scale);
+          pointProgram.setUniforms({
+            u_cityLights: 0,
+            u_tl: loadedTextureInfo.u_tl,
+            u_tl_scale: loadedTextureInfo.u_tl_scale
+          });
         }
 
         textureUpdate = null;
@@ -1210,47 +675,30 @@ SunLayer.prototype.initialize = function () {
       }
 
       function resize() {
-        var width = this.canvas.width;
-        var height = this.canvas.height;
-
-        gl.viewport(0, 0, width, height);
-
-        // Matrix which maps pixel coordinates to WebGL coordinates.
-        // If canvasLayer is scaled (with resolutionScale), we need to scale
-        // this matrix by the same amount to account for the larger number of
-        // pixels.
-        pixelsToWebGLMatrix.set([
-          2 * resolutionScale / width, 0, 0, 0,
-          0, -2 * resolutionScale / height, 0, 0,
-          0, 0, 0, 0,
-          -1, 1, 0, 1
-        ]);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
       }
 
-      this.setOptions({ resizeHandler: simpleBindShim(this, resize) });
-
-      function scaleMatrix(matrix, scaleX, scaleY) {
-        // scaling x and y, which is just scaling first two columns of matrix
-        matrix[0] *= scaleX;
-        matrix[1] *= scaleX;
-        matrix[2] *= scaleX;
-        matrix[3] *= scaleX;
+      // Listen rather than set resizeHandler, so the app can still use it.
+      this.sunListeners.push(this.addListener('resize', simpleBindShim(this, resize)));
 
-        matrix[4] *= scaleY;
-        matrix[5] *= scaleY;
-        matrix[6] *= scaleY;
-        matrix[7] *= scaleY;
+      // The layer may be added to a map again later, at another size, so free
+      // the geometry and city lights now and reload them then.
+      function removed() {
+        if (updateTimeout) {
+          clearTimeout(updateTimeout);
+          updateTimeout = 0;
+        }
+        resources.releaseScope('geometry');
+        resources.releaseScope('cityLights');
+        dataLoaded = false;
+        loadedCity = null;
+        loadedTextureInfo = null;
+        textureUpdate = null;
       }
 
-      function translateMatrix(matrix, tx, ty) {
-        // translation is in last column of matrix
-        matrix[12] += matrix[0]*tx + matrix[4]*ty;
-        matrix[13] += matrix[1]*tx + matrix[5]*ty;
-        matrix[14] += matrix[2]*tx + matrix[6]*ty;
-        matrix[15] += matrix[3]*tx + matrix[7]*ty;
-      }
+      this.sunListeners.push(this.addListener('removed', removed));
 
-      function update() {
+      function update(frame) {
         if (updateTimeout) {
           clearTimeout(updateTimeout);
           updateTimeout = 0;
@@ -1259,18 +707,20 @@ SunLayer.prototype.initialize = function () {
           return;
         }
 
-        if (generation != this.generation) {
-          return;
-        }
-
         if (textureUpdate) {
           textureUpdate();
         }
 
         gl.clear(gl.COLOR_BUFFER_BIT);
 
-        //var now = 1503341171 - 3 * 3600 + (Date.now() / 1000 - start) * 100;
-        var now = this.getCurrentTime();
+        // a clock, if attached, takes over from currentTime
+        var now = frame.time !== null ? frame.time / 1000 :
+            this.getCurrentTime();
+
+        // past the last eclipse in the table, its elements are out of range
+        // and eclipse processing is disabled below
+        bessel = this.getEclipseDefinition(now) ||
+            all_bessel[all_bessel.length - 1];
 
         var elements = getElements(now);
         if (Math.abs(now - elements.t0) > 4 * 3600) {
@@ -1278,53 +728,31 @@ SunLayer.prototype.initialize = function () {
         }
         var situation = getSituation(new Date(now * 1000));
 
-        var bounds = this.map.getBounds();
-        if (bounds != loaddata_bounds) {
+        // The geometry only depends on the view, so skip reloading it when
+        // just the clock has ticked.
+        var reasons = frame.reasons;
+        if (!dataLoaded || reasons.pan || reasons.zoom || reasons.resize) {
           loadData.apply(this);
-          loaddata_bounds = bounds;
+          dataLoaded = true;
         }
 
+        var uniforms = {
+          u_obscureFactor: 0.65,
+          u_cityLightsEnabled: this.cityLights && this.map.getZoom() <= 8 ? 1 : 0,
+          // the layer's world->WebGL matrix
+          mapMatrix: this.getMapMatrix()
+        };
+
         for (var attr in elements) {
-          var off = gl.getUniformLocation(pointProgram, "u_" + attr);
-          gl.uniform1f(off, elements[attr]);
+          uniforms["u_" + attr] = elements[attr];
         }
 
         for (var attr in situation) {
-          var off = gl.getUniformLocation(pointProgram, "u_" + attr);
-          gl.uniform1f(off, situation[attr]);
+          uniforms["u_" + attr] = situation[attr];
         }
 
-        var off = gl.getUniformLocation(pointProgram, "u_obscureFactor");
-        gl.uniform1f(off, 0.65);
-
-        gl.uniform1f(gl.getUniformLocation(pointProgram, "u_cityLightsEnabled"), this.cityLights && this.map.getZoom() <= 8);
-
-        var mapProjection = this.map.getProjection();
-
-        /**
-         * We need to create a transformation that takes world coordinate
-         * points in the pointArrayBuffer to the coodinates WebGL expects.
-         * 1. Start with second half in pixelsToWebGLMatrix, which takes pixel
-         *     coordinates to WebGL coordinates.
-         * 2. Scale and translate to take world coordinates to pixel coords
-         * see https://developers.google.com/maps/documentation/javascript/maptypes#MapCoordinate
-         */
-        
-        // copy pixel->webgl matrix
-        mapMatrix.set(pixelsToWebGLMatrix);
-
-        // Scale to current zoom (worldCoords * 2^zoom)
-        var scale = Math.pow(2, this.map.zoom);
-        scaleMatrix(mapMatrix, scale, scale);
-
-        // translate to current view (vector from topLeft to 0,0)
-        var offset = mapProjection.fromLatLngToPoint(this.getTopLeft());
-        var rss = resolutionScale * scale;
-        translateMatrix(mapMatrix, -Math.floor(offset.x * rss) / rss, -Math.floor(offset.y * rss) / rss);
-
-        // attach matrix value to 'mapMatrix' uniform in shader
-        var matrixLoc = gl.getUniformLocation(pointProgram, 'mapMatrix');
-        gl.uniformMatrix4fv(matrixLoc, false, mapMatrix);
+        // only values that changed since the last frame are sent to the GPU
+        pointProgram.setUniforms(uniforms);
 
         //console.log("%f %f", 
         //    (rawData[0] * mapMatrix[0] + mapMatrix[12]) * this.canvas.width, 
@@ -1337,8 +765,11 @@ SunLayer.prototype.initialize = function () {
         // draw!
         gl.drawArrays(gl.LINES, 0, point_count);
 
-        updateTimeout = window.setTimeout(simpleBindShim(this, update), 1000);
+        // the clock schedules its own updates as it ticks
+        if (!this.getClock()) {
+          updateTimeout = window.setTimeout(simpleBindShim(this, this.scheduleUpdate), 1000);
+        }
       }
 
-      this.setOptions({ updateHandler: simpleBindShim(this, update) });
+      this.sunListeners.push(this.addListener('update', simpleBindShim(this, update)));
     };
@@ -1,4 +1,201 @@
 declare namespace CanvasLayer{
+    /**
+     * The double-precision split form of a map matrix. matrix takes coordinates
+     * relative to the view origin to clip space, and the origin itself is given
+     * as the sum of originHigh and originLow.
+     */
+    export interface SplitMapMatrix{
+        matrix:Float32Array;
+        originHigh:Float32Array;
+        originLow:Float32Array;
+    }
+
+    /**
+     * Splits double-precision values into float32 high parts and the remaining
+     * low parts, so that high[i] + low[i] closely approximates values[i] on the
+     * GPU.
+     */
+    export function splitDouble(values:ArrayLike<number>, high?:Float32Array,
+        low?:Float32Array):{high:Float32Array, low:Float32Array};
+
+    /**
+     * The reasons an update was scheduled. More than one may be true when several
+     * changes happen before the next animation frame.
+     */
+    export interface UpdateReasons{
+        /** The map was panned (or the layer was just added). */
+        pan:boolean;
+        /** The map's zoom level changed (or the layer was just added). */
+        zoom:boolean;
+        /** The canvas was resized. */
+        resize:boolean;
+        /** The layer is animated and this is its next frame. */
+        animate:boolean;
+        /** The layer's clock ticked, was seeked or was replaced. */
+        time:boolean;
+        /** scheduleUpdate was called. */
+        explicit:boolean;
+    }
+
+    /**
+     * The state of the layer for a single update, passed to the resize and update
+     * handlers and to 'resize' and 'update' listeners.
+     */
+    export interface FrameContext{
+        /** The requestAnimationFrame timestamp, in milliseconds. */
+        timestamp:number;
+        /** Milliseconds since the previous frame, or 0 for the first. */
+        delta:number;
+        /** The number of frames preceding this one. */
+        frameNumber:number;
+        /** Why this update was scheduled. */
+        reasons:UpdateReasons;
+        topLeft:google.maps.LatLng;
+        topLeftWorld:google.maps.Point;
+        /** The (possibly fractional) map zoom level. */
+        zoom:number;
+        /** Canvas pixels per world unit, see getPixelsPerWorldUnit. */
+        scale:number;
+        resolutionScale:number;
+        /** The size of the canvas backing store. */
+        width:number;
+        height:number;
+        /** The CSS size of the canvas. */
+        cssWidth:number;
+        cssHeight:number;
+        /**
+         * The time of the layer's clock, in milliseconds, or null if it has none.
+         * See setClock.
+         */
+        time:number|null;
+    }
+
+    /**
+     * Options for Layer.applyMapTransform.
+     */
+    export interface MapTransformOptions{
+        space?:'world'|'latlng-mercator';
+        lineWidth?:number;
+        font?:string;
+        /** An x offset, in world units, onto another copy of the world. */
+        worldOffset?:number;
+    }
+
+    /**
+     * The view state sent to a worker, in a form that can be posted to it. See
+     * FrameContext for the meaning of each property.
+     */
+    export interface ViewState{
+        topLeft:{lat:number, lng:number};
+        topLeftWorld:{x:number, y:number};
+        zoom:number;
+        scale:number;
+        resolutionScale:number;
+        width:number;
+        height:number;
+        cssWidth:number;
+        cssHeight:number;
+        /** A copy of getMapMatrix. */
+        mapMatrix:Float32Array;
+    }
+
+    /**
+     * A pointer event over the layer's content.
+     */
+    export interface HitEvent{
+        /**
+         * The result of the hit test, or null if there is no feature under the
+         * pointer. For 'mouseout', the feature being left.
+         */
+        feature:any;
+        /** The coordinate under the pointer. */
+        latLng:google.maps.LatLng;
+        /** The canvas backing-store pixel under the pointer. */
+        pixel:google.maps.Point;
+        /** The original DOM event. */
+        domEvent:MouseEvent;
+    }
+
+    /**
+     * Settings for adaptive resolution.
+     */
+    export interface AdaptiveResolutionOptions{
+        /**
+         * The time, in milliseconds, the update handlers should take each frame.
+         * Default is 1000/60.
+         */
+        frameBudget?:number;
+        /** The lower bound on the factor applied to the resolution scale. Default is 0.5. */
+        minFactor?:number;
+        /** The upper bound on the factor applied to the resolution scale. Default is 1. */
+        maxFactor?:number;
+        /**
+         * The number of consecutive frames that must come in well under budget
+         * before resolution is stepped back up. Default is 60.
+         */
+        stableFrames?:number;
+    }
+
+    /**
+     * Options for exportImage.
+     */
+    export interface ExportImageOptions{
+        /** The area to export. Defaults to the map's current bounds. */
+        bounds?:google.maps.LatLngBounds;
+        /**
+         * The zoom level the content is drawn for, which sets the size of features
+         * relative to the bounds. Defaults to the map's zoom.
+         */
+        zoom?:number;
+        /**
+         * The width of the image, in pixels. If only one of width and height is
+         * given, the other follows the aspect ratio of the bounds. If both are
+         * given, the bounds are centered in the image and extended to fill it. If
+         * neither, the bounds are drawn at the layer's resolution scale.
+         */
+        width?:number;
+        /** The height of the image, in pixels. See width. */
+        height?:number;
+        /** The image MIME type. Defaults to 'image/png'. */
+        format?:string;
+    }
+
+    /**
+     * Options for startRecording.
+     */
+    export interface RecordingOptions{
+        /**
+         * 'stream' (the default) records the canvas as it is drawn with
+         * canvas.captureStream and MediaRecorder, producing a video. 'frames'
+         * instead steps the layer through updates on a virtual clock, as fast as
+         * they can be drawn, and collects each frame as an image, for offline
+         * encoding. Every frame is captured, however slow the handlers. A playing
+         * CanvasLayerClock attached to the layer (see setClock) is paused and
+         * stepped along with the frames, by its rate times the frame interval,
+         * then played again when the recording stops.
+         */
+        mode?:'stream'|'frames';
+        /** The frame rate. Default is 30. */
+        fps?:number;
+        /**
+         * The length of the recording, in milliseconds, after which it stops
+         * itself. For 'frames', this is virtual time, so sets the number of
+         * frames. Without one, recording runs until stopRecording.
+         */
+        duration?:number;
+        /**
+         * The video type for 'stream', default 'video/webm', or the image type for
+         * 'frames', default 'image/png'.
+         */
+        mimeType?:string;
+    }
+
+    /**
+     * Converts a latitude to its Mercator ordinate, in degrees. Together with
+     * longitude, this forms the 'latlng-mercator' space of applyMapTransform.
+     */
+    export function latToMercatorY(lat:number):number;
+
     /**
      * A map layer that provides a canvas over the slippy map and a callback
      * system for efficient animation. Requires canvas and CSS 2D transform
@@ -35,6 +232,118 @@ declare namespace CanvasLayer{
          */
         isAnimated():boolean;
 
+        /**
+         * Attaches a CanvasLayerClock (see CanvasLayerClock.js), whose time is passed
+         * to the handlers as the time of each CanvasLayer.FrameContext. An update is
+         * scheduled whenever the clock ticks or its time changes, so the layer
+         * doesn't need to be animated to follow it. A clock may be shared by several
+         * layers to keep them in step. Each tick is drawn in the animation frame it
+         * happens in. While the layer is suspended (see isSuspended), changes of time
+         * aren't drawn until it resumes. If opt_clock is null or unspecified, any
+         * existing clock is detached.
+         * @param {CanvasLayerClock=} opt_clock
+         */
+        setClock(clock?:CanvasLayerClock|null):void;
+
+        /**
+         * @return {CanvasLayerClock} The layer's clock, or null if it has none.
+         */
+        getClock():CanvasLayerClock|null;
+
+        /**
+         * Limits the rate at which animation frames are run. Updates needed for other
+         * reasons (e.g. a pan of the map) are not delayed.
+         * @param {number} maxFps The maximum frames per second, or 0 for no limit.
+         */
+        setMaxFps(maxFps:number):void;
+
+        /**
+         * @return {number} The maximum frames per second, or 0 if there is no limit.
+         */
+        getMaxFps():number;
+
+        /**
+         * Sets whether animation is suspended while the document is hidden (e.g. in a
+         * background tab). Default is true.
+         * @param {boolean} pause
+         */
+        setPauseWhenHidden(pause:boolean):void;
+
+        /**
+         * Sets whether animation is suspended while the map div is scrolled out of
+         * the viewport. Has no effect in browsers without IntersectionObserver.
+         * Default is true.
+         * @param {boolean} pause
+         */
+        setPauseWhenOffscreen(pause:boolean):void;
+
+        /**
+         * Sets how animation responds when the user prefers reduced motion: 'ignore'
+         * (the default) animates as usual, 'pause' suspends animation, and a number
+         * limits animation to that many frames per second.
+         * @param {string|number} policy
+         */
+        setReducedMotion(policy:'ignore'|'pause'|number):void;
+
+        /**
+         * Returns true if animation is currently suspended, e.g. because the document
+         * is hidden. The 'suspend' and 'resume' events are fired as this changes.
+         * @return {boolean}
+         */
+        isSuspended():boolean;
+
+        /**
+         * Shows or hides the layer without removing it from the map. A hidden layer
+         * keeps its state but defers all updates, and is redrawn once when shown
+         * again. If a fade duration is set, the change is animated.
+         * @param {boolean} visible
+         */
+        setVisible(visible:boolean):void;
+
+        /**
+         * @return {boolean} Whether the layer is visible.
+         */
+        isVisible():boolean;
+
+        /**
+         * Sets the opacity of the canvas, from 0 to 1.
+         * @param {number} opacity
+         */
+        setOpacity(opacity:number):void;
+
+        /**
+         * @return {number} The opacity of the canvas.
+         */
+        getOpacity():number;
+
+        /**
+         * Sets the duration of the fade when the layer is shown or hidden, or when
+         * its opacity changes. Default is 0, for no fade.
+         * @param {number} duration The duration, in milliseconds.
+         */
+        setFadeDuration(duration:number):void;
+
+        /**
+         * Sets how the canvas is blended with the map beneath it, as a CSS
+         * mix-blend-mode (e.g. 'multiply' or 'screen'). Default is 'normal'.
+         * @param {string} blendMode
+         */
+        setBlendMode(blendMode:string):void;
+
+        /**
+         * Sets a CSS filter to apply to the canvas, e.g. 'blur(2px)'. An empty string
+         * removes any filter.
+         * @param {string} filter
+         */
+        setFilter(filter:string):void;
+
+        /**
+         * Sets the z-index of the canvas within its MapPane, to order it among other
+         * overlays in the same pane. null restores the default order.
+         * @param {?number} zIndex
+         */
+        setZIndex(zIndex:number|null):void;
+
         /**
          * Set the MapPane in which this layer will be displayed, by name. See
          * {@code google.maps.MapPanes} for the panes available.
@@ -47,30 +356,127 @@ declare namespace CanvasLayer{
          */
         getPaneName():string;
 
+        /**
+         * Sets a margin by which the canvas extends past every side of the map, so
+         * that a pan smaller than the margin reveals already-drawn content and
+         * doesn't require a redraw. The margin is given in CSS pixels, or as a
+         * percentage string (e.g. '25%') of the map's width and height.
+         * @param {number|string} overscan
+         */
+        setOverscan(overscan:number|string):void;
+
+        /**
+         * Sets whether zoom changes are animated. When true, the previously drawn
+         * frame is CSS-scaled about the zoom's focal point to follow the map, both
+         * between a zoom change and its redraw and through the fractional zoom levels
+         * of an animated zoom, and the freshly drawn frame is swapped in once the
+         * update handler completes.
+         * @param {boolean} zoomAnimation
+         */
+        setZoomAnimation(zoomAnimation:boolean):void;
+
+        /**
+         * @return {number|string} The overscan margin.
+         */
+        getOverscan():number|string;
+
+        /**
+         * Adds a listener for one of this layer's events, which are dispatched through
+         * google.maps.event so any number of listeners may be added: 'update',
+         * 'resize', 'added', 'removed', 'dispose' (fired by dispose while the
+         * context can still be used to delete resources), 'panestatechange'
+         * (passed the pane name), 'contextlost' and 'contextrestored' (passed the
+         * browser's event; recreate GPU resources on 'contextrestored', after which
+         * the layer is resized and redrawn), 'suspend' and 'resume' (passed
+         * 'hidden', 'offscreen' or 'reducedmotion'), and 'click', 'mousemove',
+         * 'mouseover' and 'mouseout' (passed a HitEvent, see setHitTest).
+         * @param {string} eventName The name of the event.
+         * @param {!Function} handler The listener.
+         * @return {!google.maps.MapsEventListener} A handle that can be passed to
+         *     google.maps.event.removeListener, or removed with its remove method.
+         */
+        addListener(eventName:string, handler:Function):google.maps.MapsEventListener;
+
+        /**
+         * Set a function that returns the feature drawn at a canvas pixel, to make
+         * the layer's content interactive. While set, the layer follows the pointer
+         * over the map, calls hitTest with the pointer position in canvas
+         * backing-store pixels, and fires 'click', 'mousemove', 'mouseover' and
+         * 'mouseout' events with the result. Events still reach the map, so it can
+         * be dragged from anywhere, but clicks on a feature don't also fire the
+         * map's 'click'. Only the pixels of features capture the pointer: elsewhere,
+         * and over markers and other overlays in the overlayMouseTarget and
+         * floatPane panes, events reach the map and those overlays as if the layer
+         * weren't there.
+         * @param {?function(number, number): *=} hitTest
+         */
+        setHitTest(hitTest?:(x:number, y:number)=>any):void;
+
+        /**
+         * Sets the CSS cursor shown while the pointer is over a feature. Default is
+         * 'pointer'.
+         * @param {string} cursor
+         */
+        setHitCursor(cursor:string):void;
+
         /**
          * Set a function that will be called whenever the parent map and the overlay's
-         * canvas have been resized. If opt_resizeHandler is null or unspecified, any
-         * existing callback is removed.
-         * @param {?function=} opt_resizeHandler The resize callback function.
+         * canvas have been resized. It is passed the CanvasLayer.FrameContext of the
+         * update. If opt_resizeHandler is null or unspecified, any existing callback
+         * is removed. Only one resize handler can be set; use
+         * addListener('resize', ...) to add others.
+         * @param {?function(!CanvasLayer.FrameContext)=} opt_resizeHandler The resize
+         *     callback function.
          */
-        setResizeHandler(resizeHandler?:Function):void;
+        setResizeHandler(resizeHandler?:(frame:CanvasLayer.FrameContext)=>void):void;
 
         /**
          * Sets a value for scaling the canvas resolution relative to the canvas
          * display size. This can be used to save computation by scaling the backing
          * buffer down, or to support high DPI devices by scaling it up (by e.g.
-         * window.devicePixelRatio).
-         * @param {number} scale
+         * window.devicePixelRatio). If 'auto', the scale follows
+         * window.devicePixelRatio (times any resolutionScaleMultiplier) as it changes,
+         * e.g. when the window moves to another monitor or the page is zoomed.
+         * @param {number|string} scale
          */
-        setResolutionScale(scale:number):void;
+        setResolutionScale(scale:number|'auto'):void;
+
+        /**
+         * @return {number} The current resolution scale. If set to 'auto', this is
+         *     the scale currently derived from window.devicePixelRatio. Any adaptive
+         *     adjustment, or reduction to keep the canvas within the size limits of
+         *     WebGL, is included.
+         */
+        getResolutionScale():number;
+
+        /**
+         * Sets a factor by which window.devicePixelRatio is multiplied when the
+         * resolution scale is 'auto', e.g. 0.5 to render at half the device's
+         * resolution. Default is 1.
+         * @param {number} multiplier
+         */
+        setResolutionScaleMultiplier(multiplier:number):void;
+
+        /**
+         * Turns adaptive resolution on or off. When on, the time taken by the resize
+         * and update handlers is measured each frame, and the resolution scale is
+         * stepped down while it exceeds the frame budget and back up once frames have
+         * been comfortably under budget for a while. The adaptive factor multiplies
+         * the resolution scale set by setResolutionScale and is bounded by minFactor
+         * and maxFactor. Pass true for the default settings.
+         * @param {boolean|CanvasLayer.AdaptiveResolutionOptions} adaptive
+         */
+        setAdaptiveResolution(adaptive:boolean|AdaptiveResolutionOptions):void;
 
         /**
          * Set a function that will be called when a repaint of the canvas is required.
-         * If opt_updateHandler is null or unspecified, any existing callback is
-         * removed.
-         * @param {?function=} opt_updateHandler The update callback function.
+         * It is passed the CanvasLayer.FrameContext of the update. If opt_updateHandler
+         * is null or unspecified, any existing callback is removed. Only one update
+         * handler can be set; use addListener('update', ...) to add others.
+         * @param {?function(!CanvasLayer.FrameContext)=} opt_updateHandler The update
+         *     callback function.
          */
-        setUpdateHandler(updateHandler):void;
+        setUpdateHandler(updateHandler?:(frame:CanvasLayer.FrameContext)=>void):void;
 
         /**
          * A convenience method to get the current LatLng coordinate of the top left of
@@ -79,13 +485,250 @@ declare namespace CanvasLayer{
          */
         getTopLeft():google.maps.LatLng;
 
+        /**
+         * Returns the world coordinate of the top left corner of the canvas. Unlike
+         * getTopLeft, the x coordinate is unwrapped, so it may lie outside of [0, 256)
+         * when the map shows more than one copy of the world.
+         * @return {google.maps.Point} The top left world coordinate, or null if the
+         *     layer is not on a map.
+         */
+        getTopLeftWorldPoint():google.maps.Point;
+
+        /**
+         * Returns the number of canvas backing-store pixels per world coordinate unit
+         * at the current (possibly fractional) zoom level, including resolutionScale.
+         * @return {number} The scale factor, or NaN if the layer is not on a map.
+         */
+        getPixelsPerWorldUnit():number;
+
+        /**
+         * Converts a world coordinate to a canvas backing-store pixel coordinate.
+         * @param {google.maps.Point} worldPoint The world coordinate.
+         * @return {google.maps.Point} The canvas pixel, or null if the layer is not on
+         *     a map.
+         */
+        worldPointToCanvasPixel(worldPoint:google.maps.Point):google.maps.Point;
+
+        /**
+         * Converts a canvas backing-store pixel coordinate to a world coordinate. The
+         * returned x coordinate is unwrapped, matching getTopLeftWorldPoint.
+         * @param {google.maps.Point} canvasPixel The canvas pixel.
+         * @return {google.maps.Point} The world coordinate, or null if the layer is
+         *     not on a map.
+         */
+        canvasPixelToWorldPoint(canvasPixel:google.maps.Point):google.maps.Point;
+
+        /**
+         * Converts a LatLng to a canvas backing-store pixel coordinate. When several
+         * copies of the world are visible, the copy closest to the center of the
+         * canvas is used.
+         * @param {google.maps.LatLng} latLng The coordinate to convert.
+         * @return {google.maps.Point} The canvas pixel, or null if the layer is not on
+         *     a map.
+         */
+        latLngToCanvasPixel(latLng:google.maps.LatLng):google.maps.Point;
+
+        /**
+         * Converts a canvas backing-store pixel coordinate to a LatLng.
+         * @param {google.maps.Point} canvasPixel The canvas pixel.
+         * @return {google.maps.LatLng} The coordinate under the pixel, or null if the
+         *     layer is not on a map.
+         */
+        canvasPixelToLatLng(canvasPixel:google.maps.Point):google.maps.LatLng;
+
+        /**
+         * Returns a matrix that transforms world coordinates directly to WebGL clip
+         * space for the current view, suitable for gl.uniformMatrix4fv. The same
+         * array is updated in place whenever the map moves or the canvas is resized,
+         * so it should be re-uploaded in every update, not cached. It places content
+         * exactly where worldPointToCanvasPixel and applyMapTransform do.
+         * If worldOffset is given (see getWorldCopies), the matrix draws content
+         * shifted by that many world units, i.e. on another copy of the world. That
+         * matrix is also reused, by every offset, so must be uploaded before the next
+         * call.
+         * @param {number=} worldOffset The x offset of a world copy.
+         * @return {!Float32Array} The column-major 4x4 map matrix.
+         */
+        getMapMatrix(worldOffset?:number):Float32Array;
+
+        /**
+         * Returns the x offsets, in world units, of every copy of the world that
+         * intersects the canvas. Each is a multiple of the world's width (256), with
+         * 0 for the copy spanning [0, 256); at low zoom levels, or with the view
+         * across the antimeridian, there is more than one.
+         * @return {!Array<number>} The world copy offsets, from west to east. Empty if
+         *     the layer is not on a map.
+         */
+        getWorldCopies():number[];
+
+        /**
+         * Calls draw once for each copy of the world that intersects the canvas.
+         * draw is passed the world offset of the copy and the map matrix for it (see
+         * getMapMatrix), for use in WebGL. For the 2d canvas API, pass the context
+         * (and any MapTransformOptions), and its transform is set for each copy
+         * before draw is called, as by applyMapTransform.
+         */
+        drawWorldCopies(draw:(worldOffset:number, mapMatrix:Float32Array)=>void,
+            context?:CanvasRenderingContext2D, options?:MapTransformOptions):void;
+
+        /**
+         * Returns a double-precision variant of getMapMatrix for deep zoom levels,
+         * where world coordinates no longer fit in a float32 with sub-pixel accuracy.
+         * World coordinates should be uploaded as high and low parts (see
+         * CanvasLayer.splitDouble). As with getMapMatrix, the returned arrays are
+         * updated in place.
+         * @return {!CanvasLayer.SplitMapMatrix} The split map matrix.
+         */
+        getSplitMapMatrix():CanvasLayer.SplitMapMatrix;
+
+        /**
+         * Sets the transform of a 2d context on this layer's canvas so that content
+         * can be drawn directly in map coordinates for the current view, either
+         * 'world' coordinates (the default) or 'latlng-mercator' (longitude and the
+         * Mercator ordinate of latitude, in degrees). options.lineWidth and
+         * options.font are given in CSS pixels and are converted to the chosen
+         * space, so strokes and text keep a constant size on screen.
+         * options.worldOffset shifts content onto another copy of the world.
+         * @param {!CanvasRenderingContext2D} context The context to transform.
+         * @param {CanvasLayer.MapTransformOptions=} options
+         * @return {number} The size of one CSS pixel in the chosen space, or NaN if
+         *     the layer is not on a map (in which case context is not modified).
+         */
+        applyMapTransform(context:CanvasRenderingContext2D,
+            options?:CanvasLayer.MapTransformOptions):number;
+
+        /**
+         * Renders the layer for an arbitrary area and resolution and returns it as an
+         * image. The resize and update handlers are called with the view of the
+         * export (along with getMapMatrix and the other view methods) in place of
+         * the map's, so the image can be larger or more detailed than the screen.
+         * Images larger than the largest drawable canvas are rendered in tiles, one
+         * pair of handler calls each. The canvas is redrawn for the map before this
+         * returns, so the export is never seen. The layer must be on a map and not
+         * rendering in a worker.
+         * @param {CanvasLayer.ExportImageOptions=} opt_options
+         * @return {!Promise<!Blob>} The image.
+         */
+        exportImage(options?:CanvasLayer.ExportImageOptions):Promise<Blob>;
+
+        /**
+         * Starts recording the layer. The returned promise resolves when the
+         * recording stops, either after its duration or on a call to stopRecording,
+         * with a video Blob ('stream' mode) or an array of image Blobs, one per frame
+         * ('frames' mode). A 'frames' recording takes over scheduling of updates
+         * until it stops, passing the handlers timestamps from its virtual clock, and
+         * isn't available when rendering in a worker. Only one recording can run at
+         * a time, and the layer must be on a map. It is stopped if the layer is
+         * removed.
+         * @param {CanvasLayer.RecordingOptions=} opt_options
+         * @return {!Promise<!Blob|!Array<!Blob>>}
+         */
+        startRecording(options?:CanvasLayer.RecordingOptions):Promise<Blob|Blob[]>;
+
+        /**
+         * Stops the recording in progress, if any. The promise returned by
+         * startRecording resolves once the recording has been assembled.
+         */
+        stopRecording():void;
+
+        /**
+         * @return {boolean} Whether the layer is being recorded.
+         */
+        isRecording():boolean;
+
         /**
          * Schedule a requestAnimationFrame callback to updateHandler. If one is
          * already scheduled, there is no effect.
          */
         scheduleUpdate():void;
 
+        /**
+         * Moves drawing into a Web Worker. Control of the canvas is transferred to
+         * the worker as an OffscreenCanvas, and the worker is sent the view state
+         * whenever the canvas is resized or repositioned and an update message for
+         * every frame. The worker should use a CanvasLayerWorker (see
+         * CanvasLayerWorker.js) to receive these and run its own resize and update
+         * handlers. worker may be a Worker or the URL of a script to start as a
+         * classic worker, which can load CanvasLayerWorker.js with importScripts.
+         * This can only be set once per layer, before any context has been created
+         * for the canvas.
+         * @param {!Worker|string} worker
+         */
+        setRenderInWorker(worker:Worker|string):void;
+
+        /**
+         * @return {Worker} The worker drawing this layer, or null if drawing is on
+         *     the main thread.
+         */
+        getWorker():Worker;
+
+        /**
+         * Sets the type of context getContext creates for the canvas: '2d', 'webgl'
+         * or 'webgl2'. A canvas can only ever have one context, so this can't be
+         * changed once getContext has created it.
+         * @param {string} contextType
+         * @param {Object=} opt_contextAttributes Attributes to create the context
+         *     with, e.g. {alpha: false} or {preserveDrawingBuffer: true}.
+         */
+        setContextType(contextType:string, contextAttributes?:Object):void;
+
+        /**
+         * @return {?string} The type of context getContext creates, or null if none
+         *     has been set.
+         */
+        getContextType():string|null;
+
+        /**
+         * Returns the canvas's rendering context, of the type set with the
+         * contextType option (falling back to 'experimental-webgl' for 'webgl'),
+         * creating it on the first call. The same context is returned after it has
+         * been lost and restored.
+         * @return The context, or null if no contextType is set, the browser doesn't
+         *     support it, the layer is rendering in a worker or it has been
+         *     disposed.
+         */
+        getContext():CanvasRenderingContext2D|WebGLRenderingContext|
+            WebGL2RenderingContext|null;
+
+        /**
+         * @return {boolean} Whether the canvas's context is currently lost.
+         */
+        isContextLost():boolean;
+
+        /**
+         * For testing context-loss handling, loses the layer's WebGL context with the
+         * WEBGL_lose_context extension. The 'contextlost' event follows
+         * asynchronously. If restoreDelay is given, the context is restored that
+         * many milliseconds later; otherwise call simulateContextRestore.
+         * @return {boolean} Whether context loss could be simulated.
+         */
+        simulateContextLoss(restoreDelay?:number):boolean;
+
+        /**
+         * Restores a context lost with simulateContextLoss. The 'contextrestored'
+         * event follows asynchronously.
+         */
+        simulateContextRestore():void;
+
+        /**
+         * Permanently removes the layer from its map and releases what it holds. A
+         * 'dispose' event is fired first, while the context is still usable, so
+         * listeners (such as a CanvasLayerResources) can delete their GPU
+         * resources; then the clock is detached, a worker started from a script
+         * URL is terminated and all listeners on the layer are removed. The layer
+         * can't be used afterwards. Further calls do nothing.
+         */
+        dispose():void;
+
+        /**
+         * @return {boolean} Whether dispose has been called.
+         */
+        isDisposed():boolean;
     }
 }
 
-declare function CanvasLayer(options:CanvasLayer.Options):CanvasLayer.Layer;
\ No newline at end of file
+declare function CanvasLayer(options:CanvasLayer.Options):CanvasLayer.Layer;
+
+declare module 'canvaslayer' {
+    export = CanvasLayer;
+}
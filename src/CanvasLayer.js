@@ -19,6 +19,16 @@
  * @author Brendan Kenny
  */
 
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CanvasLayer = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+
 /**
  * A map layer that provides a canvas over the slippy map and a callback
  * system for efficient animation. Requires canvas and CSS 2D transform
@@ -28,6 +38,8 @@
  * @param {CanvasLayerOptions=} opt_options Options to set in this CanvasLayer.
  */
 function CanvasLayer(opt_options) {
+  CanvasLayer.bindMapsApi_();
+
   /**
    * If true, canvas is in a map pane and the OverlayView is fully functional.
    * See google.maps.OverlayView.onAdd for more information.
@@ -75,6 +87,49 @@ function CanvasLayer(opt_options) {
    */
   this.topLeft_ = null;
 
+  /**
+   * The world coordinate of the top left corner of the canvas, including any
+   * sub-pixel offset introduced when positioning it. Will be null when
+   * this.isAdded_ is false.
+   * @type {google.maps.Point}
+   * @private
+   */
+  this.topLeftWorld_ = null;
+
+  /**
+   * The (possibly fractional) zoom level of the map when the canvas was last
+   * positioned. Will be null when this.isAdded_ is false.
+   * @type {?number}
+   * @private
+   */
+  this.zoom_ = null;
+
+  /**
+   * A matrix taking world coordinates to WebGL clip space for the current
+   * view. See getMapMatrix.
+   * @type {!Float32Array}
+   * @private
+   */
+  this.mapMatrix_ = new Float32Array(16);
+
+  /**
+   * A copy of mapMatrix_ translated to a copy of the world. See getMapMatrix.
+   * @type {!Float32Array}
+   * @private
+   */
+  this.worldCopyMatrix_ = new Float32Array(16);
+
+  /**
+   * The double-precision split variant of mapMatrix_. See getSplitMapMatrix.
+   * @type {!CanvasLayer.SplitMapMatrix}
+   * @private
+   */
+  this.splitMapMatrix_ = {
+    matrix: new Float32Array(16),
+    originHigh: new Float32Array(2),
+    originLow: new Float32Array(2)
+  };
+
   /**
    * The map-pan event listener. Will be null when this.isAdded_ is false. Will
    * be null when this.isAdded_ is false.
@@ -106,10 +161,119 @@ function CanvasLayer(opt_options) {
    */
   this.requestAnimationFrameId_ = null;
 
+  /**
+   * The reasons the currently requested update was scheduled.
+   * @type {!CanvasLayer.UpdateReasons}
+   * @private
+   */
+  this.pendingReasons_ = CanvasLayer.createUpdateReasons_();
+
+  /**
+   * The number of frames run since this layer was created.
+   * @type {number}
+   * @private
+   */
+  this.frameNumber_ = 0;
+
+  /**
+   * The timestamp of the previous frame, or null before the first frame.
+   * @type {?number}
+   * @private
+   */
+  this.lastFrameTimestamp_ = null;
+
+  /**
+   * The maximum rate of animation frames, or 0 for no limit.
+   * @type {number}
+   * @private
+   */
+  this.maxFps_ = 0;
+
+  /**
+   * If true, animation is suspended while the document is hidden.
+   * @type {boolean}
+   * @private
+   */
+  this.pauseWhenHidden_ = true;
+
+  /**
+   * If true, animation is suspended while the map div is scrolled offscreen.
+   * @type {boolean}
+   * @private
+   */
+  this.pauseWhenOffscreen_ = true;
+
+  /**
+   * How animation responds to a prefers-reduced-motion preference: 'ignore',
+   * 'pause', or a maximum frame rate.
+   * @type {string|number}
+   * @private
+   */
+  this.reducedMotion_ = 'ignore';
+
+  /**
+   * The conditions currently suspending animation, keyed by suspend reason.
+   * @type {!Object<string, boolean>}
+   * @private
+   */
+  this.suspendReasons_ = {
+    hidden: false,
+    offscreen: false,
+    reducedmotion: false
+  };
+
+  /**
+   * Whether the map div was outside of the viewport when last observed.
+   * @type {boolean}
+   * @private
+   */
+  this.isOffscreen_ = false;
+
+  /**
+   * The observer of the map div's visibility. Will be null when
+   * this.isAdded_ is false or IntersectionObserver is not supported.
+   * @type {IntersectionObserver}
+   * @private
+   */
+  this.intersectionObserver_ = null;
+
+  /**
+   * The prefers-reduced-motion media query. Will be null when this.isAdded_ is
+   * false or matchMedia is not supported.
+   * @type {MediaQueryList}
+   * @private
+   */
+  this.reducedMotionQuery_ = null;
+
+  /**
+   * If true, the previous frame is CSS-scaled to follow the map while a zoom
+   * change is waiting to be redrawn.
+   * @type {boolean}
+   * @private
+   */
+  this.zoomAnimation_ = false;
+
+  /**
+   * The view the canvas content was last drawn for, or null if nothing has
+   * been drawn since the layer was added or the canvas was cleared.
+   * @type {?{topLeftWorld: !google.maps.Point, zoom: number}}
+   * @private
+   */
+  this.renderedView_ = null;
+
+  /**
+   * If true, the canvas is currently CSS-scaled to fit a stale frame to a new
+   * zoom level.
+   * @type {boolean}
+   * @private
+   */
+  this.isFrameScaled_ = false;
+
   var canvas = document.createElement('canvas');
   canvas.style.position = 'absolute';
   canvas.style.top = 0;
   canvas.style.left = 0;
+  canvas.style[CanvasLayer.CSS_TRANSFORM_ + 'Origin'] = '0 0';
 
   /**
    * The canvas element.
@@ -117,6 +281,118 @@ function CanvasLayer(opt_options) {
    */
   this.canvas = canvas;
 
+  /**
+   * The type of context getContext creates, or null if none has been set.
+   * @type {?string}
+   * @private
+   */
+  this.contextType_ = null;
+
+  /**
+   * The attributes getContext creates the context with.
+   * @type {Object}
+   * @private
+   */
+  this.contextAttributes_ = null;
+
+  /**
+   * The context created by getContext, or null if none has been created yet.
+   * @type {CanvasRenderingContext2D|WebGLRenderingContext}
+   * @private
+   */
+  this.context_ = null;
+
+  /**
+   * If true, the canvas's context has been lost and updates are deferred
+   * until it is restored.
+   * @type {boolean}
+   * @private
+   */
+  this.contextLost_ = false;
+
+  /**
+   * The WEBGL_lose_context extension used by simulateContextLoss, kept as it
+   * can't be fetched while the context is lost.
+   * @type {Object}
+   * @private
+   */
+  this.loseContextExtension_ = null;
+
+  /**
+   * If false, the canvas is hidden and updates are deferred until it is shown.
+   * @type {boolean}
+   * @private
+   */
+  this.visible_ = true;
+
+  /**
+   * The opacity of the canvas while visible.
+   * @type {number}
+   * @private
+   */
+  this.opacity_ = 1;
+
+  /**
+   * The duration, in milliseconds, of the fade when the layer is shown or
+   * hidden. 0 for no fade.
+   * @type {number}
+   * @private
+   */
+  this.fadeDuration_ = 0;
+
+  var mouseTarget = document.createElement('div');
+  mouseTarget.style.position = 'absolute';
+  mouseTarget.style.top = 0;
+  mouseTarget.style.left = 0;
+  mouseTarget.style[CanvasLayer.CSS_TRANSFORM_ + 'Origin'] = '0 0';
+  mouseTarget.style.pointerEvents = 'none';
+
+  /**
+   * An empty element kept over the canvas in the overlayMouseTarget pane
+   * while a hit test is set. It only receives pointer events while a feature
+   * is under the pointer, so elsewhere they reach whatever is beneath it.
+   * @type {!HTMLDivElement}
+   * @private
+   */
+  this.mouseTarget_ = mouseTarget;
+
+  /**
+   * A user-supplied function that returns the feature drawn at a canvas pixel,
+   * or null if there is none there.
+   * @type {?function(number, number): *}
+   * @private
+   */
+  this.hitTest_ = null;
+
+  /**
+   * The CSS cursor shown over features.
+   * @type {string}
+   * @private
+   */
+  this.hitCursor_ = 'pointer';
+
+  /**
+   * The feature under the pointer, or null if there is none.
+   * @type {*}
+   * @private
+   */
+  this.hoveredFeature_ = null;
+
+  /**
+   * The client coordinates of the last mousedown, used to tell clicks from
+   * drags of the map.
+   * @type {?{x: number, y: number}}
+   * @private
+   */
+  this.mouseDownPoint_ = null;
+
+  /**
+   * The map's div, while pointer movement over it is listened for.
+   * @type {Element}
+   * @private
+   */
+  this.mouseEventsDiv_ = null;
+
   /**
    * The CSS width of the canvas, which may be different than the width of the
    * backing store.
@@ -131,20 +407,176 @@ function CanvasLayer(opt_options) {
    */
   this.canvasCssHeight_ = 150;
 
+  /**
+   * The width of the canvas backing store. Tracked separately from the canvas
+   * as it can't be read back once the canvas is transferred to a worker.
+   * @private {number}
+   */
+  this.canvasWidth_ = canvas.width;
+
+  /**
+   * The height of the canvas backing store.
+   * @private {number}
+   */
+  this.canvasHeight_ = canvas.height;
+
+  /**
+   * The worker drawing to the canvas, if renderInWorker has been set.
+   * @private {Worker}
+   */
+  this.worker_ = null;
+
+  /**
+   * Whether the worker was started by the layer from a script URL, and so is
+   * terminated when the layer is disposed.
+   * @private {boolean}
+   */
+  this.ownsWorker_ = false;
+
+  /**
+   * Whether dispose has been called.
+   * @private {boolean}
+   */
+  this.disposed_ = false;
+
+  /**
+   * The views of the frames posted to the worker and not yet drawn, keyed by
+   * frame number.
+   * @private {!Object<number, !Object>}
+   */
+  this.workerFrameViews_ = {};
+
+  /**
+   * The state of the recording in progress, or null if not recording. See
+   * startRecording.
+   * @private {?Object}
+   */
+  this.recording_ = null;
+
+  /**
+   * The clock the layer draws the time of, if any.
+   * @private {CanvasLayerClock}
+   */
+  this.clock_ = null;
+
+  /**
+   * Listeners on the clock, removed when it is replaced.
+   * @private {!Array<!google.maps.MapsEventListener>}
+   */
+  this.clockListeners_ = [];
+
+  /**
+   * If true, the clock's time changed while animation was suspended, and is
+   * drawn when it resumes.
+   * @private {boolean}
+   */
+  this.timeUpdateDeferred_ = false;
+
   /**
    * A value for scaling the CanvasLayer resolution relative to the CanvasLayer
-   * display size.
+   * display size, as set by setResolutionScale.
+   * @private {number}
+   */
+  this.requestedResolutionScale_ = 1;
+
+  /**
+   * The resolution scale in effect, after any adaptive adjustment and limits
+   * on canvas size.
    * @private {number}
    */
   this.resolutionScale_ = 1;
 
   /**
-   * Simple bind for functions with no args for bind-less browsers (Safari).
+   * If true, resolutionScale_ follows window.devicePixelRatio.
+   * @private {boolean}
+   */
+  this.autoResolutionScale_ = false;
+
+  /**
+   * The factor by which window.devicePixelRatio is multiplied when
+   * autoResolutionScale_ is set.
+   * @private {number}
+   */
+  this.resolutionScaleMultiplier_ = 1;
+
+  /**
+   * A media query matching the current devicePixelRatio, used to watch for
+   * changes to it while autoResolutionScale_ is set.
+   * @private {?MediaQueryList}
+   */
+  this.devicePixelRatioQuery_ = null;
+
+  /**
+   * The settings for adaptive resolution, or null if it's off.
+   * @private {?CanvasLayer.AdaptiveResolutionOptions}
+   */
+  this.adaptiveResolution_ = null;
+
+  /**
+   * The factor by which adaptive resolution currently scales the requested
+   * resolution scale.
+   * @private {number}
+   */
+  this.adaptiveFactor_ = 1;
+
+  /**
+   * A moving average of the time taken by update handlers, in milliseconds,
+   * or null if no frames have been measured since the last adjustment.
+   * @private {?number}
+   */
+  this.frameTimeAverage_ = null;
+
+  /**
+   * The number of frames measured since the last adaptive adjustment.
+   * @private {number}
+   */
+  this.adaptiveFrameCount_ = 0;
+
+  /**
+   * The number of consecutive frames that have come in well under budget.
+   * @private {number}
+   */
+  this.adaptiveStableCount_ = 0;
+
+  /**
+   * The margin by which the canvas extends past each side of the map, in CSS
+   * pixels or as a percentage string of the map's size.
+   * @private {number|string}
+   */
+  this.overscan_ = 0;
+
+  /**
+   * The horizontal overscan margin, in CSS pixels.
+   * @private {number}
+   */
+  this.overscanX_ = 0;
+
+  /**
+   * The vertical overscan margin, in CSS pixels.
+   * @private {number}
+   */
+  this.overscanY_ = 0;
+
+  /**
+   * The CSS translation last applied to the canvas, in div pixels.
+   * @private {number}
+   */
+  this.canvasOffsetX_ = 0;
+
+  /**
+   * The CSS translation last applied to the canvas, in div pixels.
+   * @private {number}
+   */
+  this.canvasOffsetY_ = 0;
+
+  /**
+   * Simple bind for functions for bind-less browsers (Safari). Arguments are
+   * passed through, but cannot be partially applied.
    * @param {Object} thisArg The this value used for the target function.
    * @param {function} func The function to be bound.
    */
   function simpleBindShim(thisArg, func) {
-    return function() { func.apply(thisArg); };
+    return function() { return func.apply(thisArg, arguments); };
   }
 
   /**
@@ -168,30 +600,238 @@ function CanvasLayer(opt_options) {
    */
   this.requestUpdateFunction_ = simpleBindShim(this, this.update_);
 
-  // set provided options, if any
-  if (opt_options) {
-    this.setOptions(opt_options);
-  }
-}
+  /**
+   * A reference to this.refreshSuspension_ with this bound as its this value.
+   * @type {function}
+   * @private
+   */
+  this.refreshSuspensionFunction_ = simpleBindShim(this,
+      this.refreshSuspension_);
 
-CanvasLayer.prototype = new google.maps.OverlayView();
+  /**
+   * A reference to this.handleIntersection_ with this bound as its this value.
+   * @type {function}
+   * @private
+   */
+  this.intersectionFunction_ = simpleBindShim(this, this.handleIntersection_);
 
-/**
- * The default MapPane to contain the canvas.
- * @type {string}
- * @const
- * @private
- */
-CanvasLayer.DEFAULT_PANE_NAME_ = 'overlayLayer';
+  /**
+   * A reference to this.watchDevicePixelRatio_ with this bound as its this
+   * value.
+   * @type {function}
+   * @private
+   */
+  this.devicePixelRatioFunction_ = simpleBindShim(this,
+      this.watchDevicePixelRatio_);
 
-/**
- * Transform CSS property name, with vendor prefix if required. If browser
- * does not support transforms, property will be ignored.
- * @type {string}
+  /**
+   * A reference to this.handleWorkerMessage_ with this bound as its this
+   * value.
+   * @type {function}
+   * @private
+   */
+  this.workerMessageFunction_ = simpleBindShim(this,
+      this.handleWorkerMessage_);
+
+  /**
+   * A reference to this.handleMouseEvent_ with this bound as its this value.
+   * @type {function}
+   * @private
+   */
+  this.mouseEventFunction_ = simpleBindShim(this, this.handleMouseEvent_);
+
+  /**
+   * A reference to this.handleContextLost_ with this bound as its this value.
+   * @type {function}
+   * @private
+   */
+  this.contextLostFunction_ = simpleBindShim(this, this.handleContextLost_);
+
+  /**
+   * A reference to this.handleContextRestored_ with this bound as its this
+   * value.
+   * @type {function}
+   * @private
+   */
+  this.contextRestoredFunction_ = simpleBindShim(this,
+      this.handleContextRestored_);
+
+  // WebGL contexts, and 2d contexts in browsers that can lose them
+  canvas.addEventListener('webglcontextlost', this.contextLostFunction_,
+      false);
+  canvas.addEventListener('webglcontextrestored',
+      this.contextRestoredFunction_, false);
+  canvas.addEventListener('contextlost', this.contextLostFunction_, false);
+  canvas.addEventListener('contextrestored', this.contextRestoredFunction_,
+      false);
+
+  // set provided options, if any
+  if (opt_options) {
+    this.setOptions(opt_options);
+  }
+}
+
+/**
+ * The context types supported by setContextType.
+ * @type {!Array<string>}
+ * @const
+ * @private
+ */
+CanvasLayer.CONTEXT_TYPES_ = ['2d', 'webgl', 'webgl2'];
+
+/**
+ * True once CanvasLayer.prototype has been bound to the google.maps namespace.
+ * @type {boolean}
+ * @private
+ */
+CanvasLayer.isBound_ = false;
+
+/**
+ * The default MapPane to contain the canvas.
+ * @type {string}
+ * @const
+ * @private
+ */
+CanvasLayer.DEFAULT_PANE_NAME_ = 'overlayLayer';
+
+/**
+ * The width and height of the world in world coordinates.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.WORLD_SIZE_ = 256;
+
+/**
+ * Slack, in milliseconds, allowed when deciding if an animation frame comes
+ * too soon for maxFps, so that vsync jitter doesn't drop otherwise on-time
+ * frames.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.FRAME_INTERVAL_TOLERANCE_ = 1;
+
+/**
+ * The default adaptive resolution frame budget, in milliseconds.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.DEFAULT_FRAME_BUDGET_ = 1000 / 60;
+
+/**
+ * The weight of the latest frame in the moving average of frame times.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.FRAME_TIME_SMOOTHING_ = 0.2;
+
+/**
+ * The factor by which adaptive resolution steps the resolution scale down, or
+ * (inverted) back up.
+ * @type {number}
  * @const
  * @private
  */
-CanvasLayer.CSS_TRANSFORM_ = (function() {
+CanvasLayer.ADAPTIVE_STEP_ = 0.8;
+
+/**
+ * The fraction of the frame budget frames must come in under before adaptive
+ * resolution steps back up. A step up multiplies the pixel count by
+ * 1 / ADAPTIVE_STEP_^2, so this must be below ADAPTIVE_STEP_^2 to avoid
+ * oscillating between two steps.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.ADAPTIVE_HEADROOM_ = 0.5;
+
+/**
+ * The number of frames adaptive resolution waits after a change before
+ * stepping down again, so the change has a chance to show in frame times.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.ADAPTIVE_SETTLE_FRAMES_ = 5;
+
+/**
+ * Transform CSS property name, with vendor prefix if required. If browser
+ * does not support transforms, property will be ignored. Set when CanvasLayer
+ * is bound to the Maps API.
+ * @type {string}
+ * @private
+ */
+CanvasLayer.CSS_TRANSFORM_ = 'transform';
+
+/**
+ * Makes CanvasLayer a google.maps.OverlayView and detects the browser features
+ * it depends on. Deferred until the first layer is constructed so that this
+ * script can be evaluated before the Maps API has finished loading. Throws if
+ * google.maps is still unavailable at that point.
+ * @private
+ */
+CanvasLayer.bindMapsApi_ = function() {
+  if (CanvasLayer.isBound_) {
+    return;
+  }
+
+  if (typeof google === 'undefined' || !google.maps ||
+      !google.maps.OverlayView) {
+    throw new Error('CanvasLayer requires the google.maps namespace to be ' +
+        'loaded before a layer is constructed.');
+  }
+
+  Object.setPrototypeOf(CanvasLayer.prototype, new google.maps.OverlayView());
+
+  CanvasLayer.CSS_TRANSFORM_ = CanvasLayer.detectCssTransform_();
+
+  /**
+   * The requestAnimationFrame function, with vendor-prefixed or
+   * setTimeout-based fallbacks. MUST be called with window as thisArg.
+   * @type {function}
+   * @param {function} callback The function to add to the frame request queue.
+   * @return {number} The browser-defined id for the requested callback.
+   * @private
+   */
+  CanvasLayer.prototype.requestAnimFrame_ =
+      window.requestAnimationFrame ||
+      window.webkitRequestAnimationFrame ||
+      window.mozRequestAnimationFrame ||
+      window.oRequestAnimationFrame ||
+      window.msRequestAnimationFrame ||
+      function(callback) {
+        return window.setTimeout(callback, 1000 / 60);
+      };
+
+  /**
+   * The cancelAnimationFrame function, with vendor-prefixed fallback. Does not
+   * fall back to clearTimeout as some platforms implement
+   * requestAnimationFrame but not cancelAnimationFrame, and the cost is an
+   * extra frame on onRemove. MUST be called with window as thisArg.
+   * @type {function}
+   * @param {number=} requestId The id of the frame request to cancel.
+   * @private
+   */
+  CanvasLayer.prototype.cancelAnimFrame_ =
+      window.cancelAnimationFrame ||
+      window.webkitCancelAnimationFrame ||
+      window.mozCancelAnimationFrame ||
+      window.oCancelAnimationFrame ||
+      window.msCancelAnimationFrame ||
+      function(requestId) {};
+
+  CanvasLayer.isBound_ = true;
+};
+
+/**
+ * Finds the transform CSS property name supported by this browser.
+ * @return {string}
+ * @private
+ */
+CanvasLayer.detectCssTransform_ = function() {
   var div = document.createElement('div');
   var transformProps = [
     'transform',
@@ -209,68 +849,109 @@ CanvasLayer.CSS_TRANSFORM_ = (function() {
 
   // return unprefixed version by default
   return transformProps[0];
-})();
-
-/**
- * The requestAnimationFrame function, with vendor-prefixed or setTimeout-based
- * fallbacks. MUST be called with window as thisArg.
- * @type {function}
- * @param {function} callback The function to add to the frame request queue.
- * @return {number} The browser-defined id for the requested callback.
- * @private
- */
-CanvasLayer.prototype.requestAnimFrame_ =
-    window.requestAnimationFrame ||
-    window.webkitRequestAnimationFrame ||
-    window.mozRequestAnimationFrame ||
-    window.oRequestAnimationFrame ||
-    window.msRequestAnimationFrame ||
-    function(callback) {
-      return window.setTimeout(callback, 1000 / 60);
-    };
-
-/**
- * The cancelAnimationFrame function, with vendor-prefixed fallback. Does not
- * fall back to clearTimeout as some platforms implement requestAnimationFrame
- * but not cancelAnimationFrame, and the cost is an extra frame on onRemove.
- * MUST be called with window as thisArg.
- * @type {function}
- * @param {number=} requestId The id of the frame request to cancel.
- * @private
- */
-CanvasLayer.prototype.cancelAnimFrame_ =
-    window.cancelAnimationFrame ||
-    window.webkitCancelAnimationFrame ||
-    window.mozCancelAnimationFrame ||
-    window.oCancelAnimationFrame ||
-    window.msCancelAnimationFrame ||
-    function(requestId) {};
+};
 
 /**
  * Sets any options provided. See CanvasLayerOptions for more information.
  * @param {CanvasLayerOptions} options The options to set.
  */
 CanvasLayer.prototype.setOptions = function(options) {
+  if (options.contextType !== undefined) {
+    this.setContextType(options.contextType, options.contextAttributes);
+  }
+
+  if (options.clock !== undefined) {
+    this.setClock(options.clock);
+  }
+
+  if (options.blendMode !== undefined) {
+    this.setBlendMode(options.blendMode);
+  }
+
+  if (options.fadeDuration !== undefined) {
+    this.setFadeDuration(options.fadeDuration);
+  }
+
+  if (options.filter !== undefined) {
+    this.setFilter(options.filter);
+  }
+
+  if (options.opacity !== undefined) {
+    this.setOpacity(options.opacity);
+  }
+
+  if (options.visible !== undefined) {
+    this.setVisible(options.visible);
+  }
+
+  if (options.zIndex !== undefined) {
+    this.setZIndex(options.zIndex);
+  }
+
   if (options.animate !== undefined) {
     this.setAnimate(options.animate);
   }
 
+  if (options.maxFps !== undefined) {
+    this.setMaxFps(options.maxFps);
+  }
+
+  if (options.pauseWhenHidden !== undefined) {
+    this.setPauseWhenHidden(options.pauseWhenHidden);
+  }
+
+  if (options.pauseWhenOffscreen !== undefined) {
+    this.setPauseWhenOffscreen(options.pauseWhenOffscreen);
+  }
+
+  if (options.reducedMotion !== undefined) {
+    this.setReducedMotion(options.reducedMotion);
+  }
+
+  if (options.overscan !== undefined) {
+    this.setOverscan(options.overscan);
+  }
+
   if (options.paneName !== undefined) {
     this.setPaneName(options.paneName);
   }
 
+  if (options.zoomAnimation !== undefined) {
+    this.setZoomAnimation(options.zoomAnimation);
+  }
+
   if (options.updateHandler !== undefined) {
     this.setUpdateHandler(options.updateHandler);
   }
 
+  if (options.renderInWorker !== undefined) {
+    this.setRenderInWorker(options.renderInWorker);
+  }
+
   if (options.resizeHandler !== undefined) {
     this.setResizeHandler(options.resizeHandler);
   }
 
+  if (options.adaptiveResolution !== undefined) {
+    this.setAdaptiveResolution(options.adaptiveResolution);
+  }
+
+  if (options.resolutionScaleMultiplier !== undefined) {
+    this.setResolutionScaleMultiplier(options.resolutionScaleMultiplier);
+  }
+
   if (options.resolutionScale !== undefined) {
     this.setResolutionScale(options.resolutionScale);
   }
 
+  if (options.hitCursor !== undefined) {
+    this.setHitCursor(options.hitCursor);
+  }
+
+  if (options.hitTest !== undefined) {
+    this.setHitTest(options.hitTest);
+  }
+
   if (options.map !== undefined) {
     this.setMap(options.map);
   }
@@ -285,8 +966,8 @@ CanvasLayer.prototype.setOptions = function(options) {
 CanvasLayer.prototype.setAnimate = function(animate) {
   this.isAnimated_ = !!animate;
 
-  if (this.isAnimated_) {
-    this.scheduleUpdate();
+  if (this.isAnimated_ && !this.isSuspended()) {
+    this.requestUpdate_('animate');
   }
 };
 
@@ -298,240 +979,2684 @@ CanvasLayer.prototype.isAnimated = function() {
 };
 
 /**
- * Set the MapPane in which this layer will be displayed, by name. See
- * {@code google.maps.MapPanes} for the panes available.
- * @param {string} paneName The name of the desired MapPane.
+ * Attaches a CanvasLayerClock (see CanvasLayerClock.js), whose time is passed
+ * to the handlers as the time of each CanvasLayer.FrameContext. An update is
+ * scheduled whenever the clock ticks or its time changes, so the layer
+ * doesn't need to be animated to follow it. A clock may be shared by several
+ * layers to keep them in step. Each tick is drawn in the animation frame it
+ * happens in. While the layer is suspended (see isSuspended), changes of time
+ * aren't drawn until it resumes. If opt_clock is null or unspecified, any
+ * existing clock is detached.
+ * @param {CanvasLayerClock=} opt_clock
  */
-CanvasLayer.prototype.setPaneName = function(paneName) {
-  this.paneName_ = paneName;
+CanvasLayer.prototype.setClock = function(opt_clock) {
+  for (var i = 0; i < this.clockListeners_.length; i++) {
+    this.clockListeners_[i].remove();
+  }
+  this.clockListeners_ = [];
+  this.clock_ = opt_clock || null;
+
+  if (this.clock_) {
+    var layer = this;
+    var requestTimeUpdate = function() {
+      // like animation, a playing clock isn't drawn while suspended
+      if (layer.isSuspended()) {
+        layer.timeUpdateDeferred_ = true;
+        return;
+      }
+      layer.requestUpdate_('time');
+    };
+    var tick = function() {
+      requestTimeUpdate();
+
+      // The clock ticks in an animation frame, so draw its new time in this
+      // frame rather than requesting the next one. A frame recording draws
+      // its own frames.
+      if (layer.requestAnimationFrameId_ && !layer.isRecordingFrames_()) {
+        layer.cancelAnimFrame_.call(window, layer.requestAnimationFrameId_);
+        layer.update_();
+      }
+    };
+    this.clockListeners_.push(
+        this.clock_.addListener('tick', tick),
+        this.clock_.addListener('timechange', requestTimeUpdate));
+  }
 
-  this.setPane_();
+  this.requestUpdate_('time');
 };
 
 /**
- * @return {string} The name of the current container pane.
+ * @return {CanvasLayerClock} The layer's clock, or null if it has none.
  */
-CanvasLayer.prototype.getPaneName = function() {
-  return this.paneName_;
+CanvasLayer.prototype.getClock = function() {
+  return this.clock_;
 };
 
 /**
- * Adds the canvas to the specified container pane. Since this is guaranteed to
- * execute only after onAdd is called, this is when paneName's existence is
- * checked (and an error is thrown if it doesn't exist).
- * @private
+ * Limits the rate at which animation frames are run. Updates needed for other
+ * reasons (e.g. a pan of the map) are not delayed.
+ * @param {number} maxFps The maximum frames per second, or 0 for no limit.
  */
-CanvasLayer.prototype.setPane_ = function() {
-  if (!this.isAdded_) {
-    return;
-  }
-
-  // onAdd has been called, so panes can be used
-  var panes = this.getPanes();
-  if (!panes[this.paneName_]) {
-    throw new Error('"' + this.paneName_ + '" is not a valid MapPane name.');
-  }
-
-  panes[this.paneName_].appendChild(this.canvas);
+CanvasLayer.prototype.setMaxFps = function(maxFps) {
+  this.maxFps_ = Math.max(0, maxFps || 0);
 };
 
 /**
- * Set a function that will be called whenever the parent map and the overlay's
- * canvas have been resized. If opt_resizeHandler is null or unspecified, any
- * existing callback is removed.
- * @param {?function=} opt_resizeHandler The resize callback function.
+ * @return {number} The maximum frames per second, or 0 if there is no limit.
  */
-CanvasLayer.prototype.setResizeHandler = function(opt_resizeHandler) {
-  this.resizeHandler_ = opt_resizeHandler;
+CanvasLayer.prototype.getMaxFps = function() {
+  return this.maxFps_;
 };
 
 /**
- * Sets a value for scaling the canvas resolution relative to the canvas
- * display size. This can be used to save computation by scaling the backing
- * buffer down, or to support high DPI devices by scaling it up (by e.g.
- * window.devicePixelRatio).
- * @param {number} scale
+ * Sets whether animation is suspended while the document is hidden (e.g. in a
+ * background tab). Default is true.
+ * @param {boolean} pause
  */
-CanvasLayer.prototype.setResolutionScale = function(scale) {
-  if (typeof scale === 'number') {
-    this.resolutionScale_ = scale;
-    this.resize_();
-  }
+CanvasLayer.prototype.setPauseWhenHidden = function(pause) {
+  this.pauseWhenHidden_ = !!pause;
+  this.refreshSuspension_();
 };
 
 /**
- * Set a function that will be called when a repaint of the canvas is required.
- * If opt_updateHandler is null or unspecified, any existing callback is
- * removed.
- * @param {?function=} opt_updateHandler The update callback function.
+ * Sets whether animation is suspended while the map div is scrolled out of
+ * the viewport. Has no effect in browsers without IntersectionObserver.
+ * Default is true.
+ * @param {boolean} pause
  */
-CanvasLayer.prototype.setUpdateHandler = function(opt_updateHandler) {
-  this.updateHandler_ = opt_updateHandler;
+CanvasLayer.prototype.setPauseWhenOffscreen = function(pause) {
+  this.pauseWhenOffscreen_ = !!pause;
+  this.refreshSuspension_();
 };
 
 /**
- * @inheritDoc
+ * Sets how animation responds when the user prefers reduced motion: 'ignore'
+ * (the default) animates as usual, 'pause' suspends animation, and a number
+ * limits animation to that many frames per second.
+ * @param {string|number} policy
  */
-CanvasLayer.prototype.onAdd = function() {
-  if (this.isAdded_) {
-    return;
+CanvasLayer.prototype.setReducedMotion = function(policy) {
+  if (policy !== 'ignore' && policy !== 'pause' && typeof policy !== 'number') {
+    throw new Error('"' + policy + '" is not a valid reducedMotion policy.');
   }
 
-  this.isAdded_ = true;
-  this.setPane_();
+  this.reducedMotion_ = policy;
+  this.refreshSuspension_();
+};
 
-  this.resizeListener_ = google.maps.event.addListener(this.getMap(),
-      'bounds_changed', this.resizeFunction_);
-  this.centerListener_ = google.maps.event.addListener(this.getMap(),
-      'bounds_changed', this.repositionFunction_);
+/**
+ * Returns true if animation is currently suspended, e.g. because the document
+ * is hidden. The 'suspend' and 'resume' events are fired as this changes.
+ * @return {boolean}
+ */
+CanvasLayer.prototype.isSuspended = function() {
+  var reasons = this.suspendReasons_;
+  return reasons.hidden || reasons.offscreen || reasons.reducedmotion;
+};
 
-  this.resize_();
-  this.repositionCanvas_();
+/**
+ * Re-evaluates every condition that can suspend animation.
+ * @private
+ */
+CanvasLayer.prototype.refreshSuspension_ = function() {
+  var prefersReducedMotion = !!this.reducedMotionQuery_ &&
+      this.reducedMotionQuery_.matches;
+
+  this.setSuspended_('hidden', this.isAdded_ && this.pauseWhenHidden_ &&
+      !!document.hidden);
+  this.setSuspended_('offscreen', this.isAdded_ && this.pauseWhenOffscreen_ &&
+      this.isOffscreen_);
+  this.setSuspended_('reducedmotion', this.isAdded_ &&
+      this.reducedMotion_ === 'pause' && prefersReducedMotion);
 };
 
 /**
- * @inheritDoc
+ * Sets whether a single condition is suspending animation, firing 'suspend'
+ * or 'resume' with the condition as the argument if that changes. Animation
+ * restarts once no condition suspends it.
+ * @param {string} reason 'hidden', 'offscreen' or 'reducedmotion'.
+ * @param {boolean} suspended
+ * @private
  */
-CanvasLayer.prototype.onRemove = function() {
-  if (!this.isAdded_) {
+CanvasLayer.prototype.setSuspended_ = function(reason, suspended) {
+  if (this.suspendReasons_[reason] === suspended) {
     return;
   }
 
-  this.isAdded_ = false;
-  this.topLeft_ = null;
+  this.suspendReasons_[reason] = suspended;
+  google.maps.event.trigger(this, suspended ? 'suspend' : 'resume', reason);
 
-  // remove canvas and listeners for pan and resize from map
-  this.canvas.parentElement.removeChild(this.canvas);
-  if (this.centerListener_) {
-    google.maps.event.removeListener(this.centerListener_);
-    this.centerListener_ = null;
+  if (this.isSuspended()) {
+    return;
   }
-  if (this.resizeListener_) {
-    google.maps.event.removeListener(this.resizeListener_);
-    this.resizeListener_ = null;
+  if (this.isAnimated_) {
+    this.requestUpdate_('animate');
   }
-
-  // cease canvas update callbacks
-  if (this.requestAnimationFrameId_) {
-    this.cancelAnimFrame_.call(window, this.requestAnimationFrameId_);
-    this.requestAnimationFrameId_ = null;
+  // draw the latest time of a clock that changed while suspended
+  if (this.timeUpdateDeferred_) {
+    this.timeUpdateDeferred_ = false;
+    this.requestUpdate_('time');
   }
 };
 
 /**
- * The internal callback for resize events that resizes the canvas to keep the
- * map properly covered.
+ * IntersectionObserver callback tracking whether the map div is in view.
+ * @param {!Array<!IntersectionObserverEntry>} entries
  * @private
  */
-CanvasLayer.prototype.resize_ = function() {
-  if (!this.isAdded_) {
-    return;
-  }
-
-  var map = this.getMap();
-  var mapWidth = map.getDiv().offsetWidth;
-  var mapHeight = map.getDiv().offsetHeight;
-
-  var newWidth = mapWidth * this.resolutionScale_;
-  var newHeight = mapHeight * this.resolutionScale_;
-  var oldWidth = this.canvas.width;
-  var oldHeight = this.canvas.height;
+CanvasLayer.prototype.handleIntersection_ = function(entries) {
+  var entry = entries[entries.length - 1];
+  this.isOffscreen_ = !entry.isIntersecting;
+  this.refreshSuspension_();
+};
 
-  // resizing may allocate a new back buffer, so do so conservatively
-  if (oldWidth !== newWidth || oldHeight !== newHeight) {
-    this.canvas.width = newWidth;
-    this.canvas.height = newHeight;
+/**
+ * Starts watching document visibility, the map div's position in the viewport
+ * and the prefers-reduced-motion preference.
+ * @private
+ */
+CanvasLayer.prototype.startSuspensionMonitors_ = function() {
+  document.addEventListener('visibilitychange',
+      this.refreshSuspensionFunction_, false);
+
+  if (typeof IntersectionObserver !== 'undefined') {
+    this.intersectionObserver_ =
+        new IntersectionObserver(this.intersectionFunction_);
+    this.intersectionObserver_.observe(this.getMap().getDiv());
+  }
 
-    this.needsResize_ = true;
-    this.scheduleUpdate();
+  if (window.matchMedia) {
+    var query = window.matchMedia('(prefers-reduced-motion: reduce)');
+    if (query.addEventListener) {
+      query.addEventListener('change', this.refreshSuspensionFunction_);
+    } else if (query.addListener) {
+      query.addListener(this.refreshSuspensionFunction_);
+    }
+    this.reducedMotionQuery_ = query;
+  }
+
+  this.refreshSuspension_();
+};
+
+/**
+ * Stops the monitors started in startSuspensionMonitors_ and clears any
+ * suspension.
+ * @private
+ */
+CanvasLayer.prototype.stopSuspensionMonitors_ = function() {
+  document.removeEventListener('visibilitychange',
+      this.refreshSuspensionFunction_, false);
+
+  if (this.intersectionObserver_) {
+    this.intersectionObserver_.disconnect();
+    this.intersectionObserver_ = null;
+  }
+  this.isOffscreen_ = false;
+
+  var query = this.reducedMotionQuery_;
+  if (query) {
+    if (query.removeEventListener) {
+      query.removeEventListener('change', this.refreshSuspensionFunction_);
+    } else if (query.removeListener) {
+      query.removeListener(this.refreshSuspensionFunction_);
+    }
+    this.reducedMotionQuery_ = null;
+  }
+
+  this.refreshSuspension_();
+};
+
+/**
+ * Returns the current limit on animation frame rate, combining maxFps with
+ * any reducedMotion limit.
+ * @return {number} The maximum frames per second, or 0 for no limit.
+ * @private
+ */
+CanvasLayer.prototype.getEffectiveMaxFps_ = function() {
+  var maxFps = this.maxFps_;
+
+  if (typeof this.reducedMotion_ === 'number' && this.reducedMotionQuery_ &&
+      this.reducedMotionQuery_.matches) {
+    maxFps = maxFps ? Math.min(maxFps, this.reducedMotion_) :
+        this.reducedMotion_;
+  }
+
+  return maxFps;
+};
+
+/**
+ * Shows or hides the layer without removing it from the map. A hidden layer
+ * keeps its state but defers all updates, and is redrawn once when shown
+ * again. If a fade duration is set, the change is animated.
+ * @param {boolean} visible
+ */
+CanvasLayer.prototype.setVisible = function(visible) {
+  visible = !!visible;
+  if (visible === this.visible_) {
+    return;
+  }
+  this.visible_ = visible;
+  this.applyVisibility_();
+  this.updateMouseTarget_();
+
+  if (visible) {
+    this.requestUpdate_('explicit');
+  } else if (this.requestAnimationFrameId_) {
+    this.cancelAnimFrame_.call(window, this.requestAnimationFrameId_);
+    this.requestAnimationFrameId_ = null;
+  }
+};
+
+/**
+ * @return {boolean} Whether the layer is visible.
+ */
+CanvasLayer.prototype.isVisible = function() {
+  return this.visible_;
+};
+
+/**
+ * Sets the opacity of the canvas, from 0 to 1.
+ * @param {number} opacity
+ */
+CanvasLayer.prototype.setOpacity = function(opacity) {
+  this.opacity_ = Math.min(Math.max(opacity, 0), 1);
+  this.applyVisibility_();
+};
+
+/**
+ * @return {number} The opacity of the canvas.
+ */
+CanvasLayer.prototype.getOpacity = function() {
+  return this.opacity_;
+};
+
+/**
+ * Sets the duration of the fade when the layer is shown or hidden, or when
+ * its opacity changes. Default is 0, for no fade.
+ * @param {number} duration The duration, in milliseconds.
+ */
+CanvasLayer.prototype.setFadeDuration = function(duration) {
+  this.fadeDuration_ = Math.max(0, duration || 0);
+  this.applyVisibility_();
+};
+
+/**
+ * Sets how the canvas is blended with the map beneath it, as a CSS
+ * mix-blend-mode (e.g. 'multiply' or 'screen'). Default is 'normal'.
+ * @param {string} blendMode
+ */
+CanvasLayer.prototype.setBlendMode = function(blendMode) {
+  this.canvas.style.mixBlendMode = blendMode || '';
+};
+
+/**
+ * Sets a CSS filter to apply to the canvas, e.g. 'blur(2px)'. An empty string
+ * removes any filter.
+ * @param {string} filter
+ */
+CanvasLayer.prototype.setFilter = function(filter) {
+  this.canvas.style.filter = filter || '';
+};
+
+/**
+ * Sets the z-index of the canvas within its MapPane, to order it among other
+ * overlays in the same pane. null restores the default order.
+ * @param {?number} zIndex
+ */
+CanvasLayer.prototype.setZIndex = function(zIndex) {
+  var value = zIndex === null ? '' : String(zIndex);
+  this.canvas.style.zIndex = value;
+  this.mouseTarget_.style.zIndex = value;
+};
+
+/**
+ * Sets the canvas's CSS opacity and visibility for visible_ and opacity_.
+ * @private
+ */
+CanvasLayer.prototype.applyVisibility_ = function() {
+  var style = this.canvas.style;
+  var duration = this.fadeDuration_;
+
+  // when hiding, the canvas becomes hidden only once the fade has finished
+  style.transition = duration ? 'opacity ' + duration + 'ms, visibility 0s ' +
+      (this.visible_ ? 0 : duration) + 'ms' : '';
+  style.opacity = this.visible_ ? this.opacity_ : 0;
+  style.visibility = this.visible_ ? '' : 'hidden';
+};
+
+/**
+ * Set the MapPane in which this layer will be displayed, by name. See
+ * {@code google.maps.MapPanes} for the panes available.
+ * @param {string} paneName The name of the desired MapPane.
+ */
+CanvasLayer.prototype.setPaneName = function(paneName) {
+  this.paneName_ = paneName;
+
+  this.setPane_();
+};
+
+/**
+ * @return {string} The name of the current container pane.
+ */
+CanvasLayer.prototype.getPaneName = function() {
+  return this.paneName_;
+};
+
+/**
+ * Adds the canvas to the specified container pane. Since this is guaranteed to
+ * execute only after onAdd is called, this is when paneName's existence is
+ * checked (and an error is thrown if it doesn't exist).
+ * @private
+ */
+CanvasLayer.prototype.setPane_ = function() {
+  if (!this.isAdded_) {
+    return;
+  }
+
+  // onAdd has been called, so panes can be used
+  var panes = this.getPanes();
+  if (!panes[this.paneName_]) {
+    throw new Error('"' + this.paneName_ + '" is not a valid MapPane name.');
+  }
+
+  panes[this.paneName_].appendChild(this.canvas);
+
+  google.maps.event.trigger(this, 'panestatechange', this.paneName_);
+};
+
+/**
+ * Adds a listener for one of this layer's events, which are dispatched through
+ * google.maps.event so any number of listeners may be added:
+ * <ul>
+ *   <li>'update': a repaint of the canvas is required. Fired after
+ *       updateHandler, and passed the same CanvasLayer.FrameContext.
+ *   <li>'resize': the canvas has been resized since the last update. Fired
+ *       after resizeHandler and before the 'update' of the same frame, and
+ *       passed the same CanvasLayer.FrameContext.
+ *   <li>'added': the layer has been added to a map.
+ *   <li>'removed': the layer has been removed from its map.
+ *   <li>'dispose': dispose has been called. The context can still be used
+ *       to delete resources; the layer is then removed from its map and
+ *       this and all other listeners are removed.
+ *   <li>'panestatechange': the canvas has been placed in a MapPane. The
+ *       listener is passed the name of the pane.
+ *   <li>'contextlost': the canvas's context has been lost. Updates are
+ *       deferred until it is restored. The listener is passed the
+ *       webglcontextlost (or, for a 2d context, contextlost) event.
+ *   <li>'contextrestored': the canvas's context has been restored, with all
+ *       of its resources (programs, buffers, textures) gone. Listeners should
+ *       recreate them; the resize and update handlers are then called. The
+ *       listener is passed the webglcontextrestored (or contextrestored)
+ *       event.
+ *   <li>'suspend', 'resume': animation has been suspended or can resume. The
+ *       listener is passed the condition that changed: 'hidden' (the
+ *       document is hidden), 'offscreen' (the map is scrolled out of view) or
+ *       'reducedmotion' (the user prefers reduced motion). Animation resumes
+ *       only once no condition suspends it; see isSuspended.
+ *   <li>'click', 'mousemove', 'mouseover', 'mouseout': pointer events over
+ *       the canvas while a hit test is set (see setHitTest). The listener is
+ *       passed a CanvasLayer.HitEvent. 'mousemove' fires whether or not the
+ *       pointer is over a feature, 'click' only for features, and
+ *       'mouseover' and 'mouseout' as the pointer enters and leaves each
+ *       feature.
+ * </ul>
+ * @param {string} eventName The name of the event.
+ * @param {!Function} handler The listener.
+ * @return {!google.maps.MapsEventListener} A handle that can be passed to
+ *     google.maps.event.removeListener, or removed with its remove method.
+ */
+CanvasLayer.prototype.addListener = function(eventName, handler) {
+  return google.maps.event.addListener(this, eventName, handler);
+};
+
+/**
+ * Set a function that returns the feature drawn at a canvas pixel, to make
+ * the layer's content interactive. While set, the layer follows the pointer
+ * over the map, calls hitTest with the pointer position in canvas
+ * backing-store pixels, and fires 'click', 'mousemove', 'mouseover' and
+ * 'mouseout' events with the result (see addListener). The feature can be
+ * any value, including 0; null or undefined means no feature is there.
+ * Events still reach the map, so it can be dragged from anywhere, but clicks
+ * on a feature don't also fire the map's 'click'. Only the pixels of
+ * features capture the pointer: elsewhere, and over markers and other
+ * overlays in the overlayMouseTarget and floatPane panes, events reach the
+ * map and those overlays as if the layer weren't there. If opt_hitTest is
+ * null or unspecified, any existing hit test is removed.
+ * @param {?function(number, number): *=} opt_hitTest
+ */
+CanvasLayer.prototype.setHitTest = function(opt_hitTest) {
+  this.hitTest_ = opt_hitTest || null;
+  this.updateMouseTarget_();
+};
+
+/**
+ * Sets the CSS cursor shown while the pointer is over a feature. Default is
+ * 'pointer'.
+ * @param {string} cursor
+ */
+CanvasLayer.prototype.setHitCursor = function(cursor) {
+  this.hitCursor_ = cursor;
+
+  if (this.hoveredFeature_ !== null) {
+    this.mouseTarget_.style.cursor = cursor;
+  }
+};
+
+/**
+ * A pointer event over the layer's content.
+ * <ul>
+ *   <li>feature: the result of the hit test, or null if there is no feature
+ *       under the pointer. For 'mouseout', the feature being left.
+ *   <li>latLng: the coordinate under the pointer.
+ *   <li>pixel: the canvas backing-store pixel under the pointer.
+ *   <li>domEvent: the original DOM event.
+ * </ul>
+ * @typedef {{
+ *   feature: *,
+ *   latLng: google.maps.LatLng,
+ *   pixel: !google.maps.Point,
+ *   domEvent: !MouseEvent
+ * }}
+ */
+CanvasLayer.HitEvent;
+
+/**
+ * The distance, in CSS pixels, the pointer may move between mousedown and
+ * click for it to still count as a click rather than a drag of the map.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.CLICK_TOLERANCE_ = 4;
+
+/**
+ * The DOM events listened for on the mouse target, which only receives them
+ * while a feature is under the pointer.
+ * @type {!Array<string>}
+ * @const
+ * @private
+ */
+CanvasLayer.MOUSE_EVENTS_ = ['mousedown', 'click'];
+
+/**
+ * The DOM events listened for, in the capture phase, on the map's div, to
+ * follow the pointer wherever it is over the map.
+ * @type {!Array<string>}
+ * @const
+ * @private
+ */
+CanvasLayer.MAP_MOUSE_EVENTS_ = ['mousemove', 'mouseleave'];
+
+/**
+ * Adds the mouse target to the overlayMouseTarget pane, and follows the
+ * pointer over the map, if the layer is on a map, visible and has a hit test,
+ * or removes them otherwise.
+ * @private
+ */
+CanvasLayer.prototype.updateMouseTarget_ = function() {
+  var target = this.mouseTarget_;
+  var i;
+
+  if (this.isAdded_ && this.hitTest_ && this.visible_) {
+    if (!target.parentElement) {
+      this.getPanes().overlayMouseTarget.appendChild(target);
+      for (i = 0; i < CanvasLayer.MOUSE_EVENTS_.length; i++) {
+        target.addEventListener(CanvasLayer.MOUSE_EVENTS_[i],
+            this.mouseEventFunction_, false);
+      }
+      this.mouseEventsDiv_ = this.getMap().getDiv();
+      for (i = 0; i < CanvasLayer.MAP_MOUSE_EVENTS_.length; i++) {
+        this.mouseEventsDiv_.addEventListener(CanvasLayer.MAP_MOUSE_EVENTS_[i],
+            this.mouseEventFunction_, true);
+      }
+    }
+    return;
+  }
+
+  if (target.parentElement) {
+    target.parentElement.removeChild(target);
+    for (i = 0; i < CanvasLayer.MOUSE_EVENTS_.length; i++) {
+      target.removeEventListener(CanvasLayer.MOUSE_EVENTS_[i],
+          this.mouseEventFunction_, false);
+    }
+    for (i = 0; i < CanvasLayer.MAP_MOUSE_EVENTS_.length; i++) {
+      this.mouseEventsDiv_.removeEventListener(
+          CanvasLayer.MAP_MOUSE_EVENTS_[i], this.mouseEventFunction_, true);
+    }
+    this.mouseEventsDiv_ = null;
+  }
+  this.setHoveredFeature_(null);
+  this.mouseDownPoint_ = null;
+};
+
+/**
+ * Sets the feature under the pointer, letting the mouse target capture
+ * pointer events, and showing the hit cursor, only while there is one.
+ * @param {*} feature The feature, or null for none.
+ * @private
+ */
+CanvasLayer.prototype.setHoveredFeature_ = function(feature) {
+  this.hoveredFeature_ = feature;
+
+  var style = this.mouseTarget_.style;
+  style.pointerEvents = feature !== null ? 'auto' : 'none';
+  style.cursor = feature !== null ? this.hitCursor_ : '';
+};
+
+/**
+ * Returns whether a pointer event is over a marker or other overlay that
+ * takes pointer events, rather than over the layer's content.
+ * @param {!MouseEvent} domEvent
+ * @return {boolean}
+ * @private
+ */
+CanvasLayer.prototype.isOverOverlay_ = function(domEvent) {
+  var element = domEvent.target;
+  if (element === this.mouseTarget_) {
+    return false;
+  }
+
+  var panes = this.getPanes();
+  return !!panes && (panes.overlayMouseTarget.contains(element) ||
+      panes.floatPane.contains(element));
+};
+
+/**
+ * Runs the hit test for a DOM event over the mouse target.
+ * @param {!MouseEvent} domEvent
+ * @return {!CanvasLayer.HitEvent}
+ * @private
+ */
+CanvasLayer.prototype.hitTestEvent_ = function(domEvent) {
+  // the bounding rect includes the canvas's transform, so this finds the
+  // pixel of the content actually under the pointer
+  var rect = this.mouseTarget_.getBoundingClientRect();
+  var pixel = new google.maps.Point(
+      (domEvent.clientX - rect.left) * this.canvasWidth_ / rect.width,
+      (domEvent.clientY - rect.top) * this.canvasHeight_ / rect.height);
+
+  var feature = this.hitTest_(pixel.x, pixel.y);
+
+  return {
+    feature: feature === undefined ? null : feature,
+    latLng: this.canvasPixelToLatLng(pixel),
+    pixel: pixel,
+    domEvent: domEvent
+  };
+};
+
+/**
+ * Handles DOM events on the mouse target and the map's div, firing the
+ * layer's pointer events.
+ * @param {!MouseEvent} domEvent
+ * @private
+ */
+CanvasLayer.prototype.handleMouseEvent_ = function(domEvent) {
+  if (!this.hitTest_) {
+    return;
+  }
+
+  if (domEvent.type === 'mousedown') {
+    this.mouseDownPoint_ = {x: domEvent.clientX, y: domEvent.clientY};
+    return;
+  }
+
+  var hit;
+  var hovered = this.hoveredFeature_;
+
+  if (domEvent.type === 'click') {
+    // a click ending a drag of the map isn't a click on a feature
+    var down = this.mouseDownPoint_;
+    this.mouseDownPoint_ = null;
+    if (down && (Math.abs(domEvent.clientX - down.x) >
+        CanvasLayer.CLICK_TOLERANCE_ || Math.abs(domEvent.clientY - down.y) >
+        CanvasLayer.CLICK_TOLERANCE_)) {
+      return;
+    }
+
+    hit = this.hitTestEvent_(domEvent);
+    if (hit.feature !== null) {
+      domEvent.stopPropagation();
+      google.maps.event.trigger(this, 'click', hit);
+    }
+    return;
+  }
+
+  if (domEvent.type === 'mouseleave') {
+    // only the map's div itself, not each element it's leaving
+    if (domEvent.target === this.mouseEventsDiv_ && hovered !== null) {
+      hit = this.hitTestEvent_(domEvent);
+      hit.feature = hovered;
+      this.setHoveredFeature_(null);
+      google.maps.event.trigger(this, 'mouseout', hit);
+    }
+    return;
+  }
+
+  // mousemove. Markers and other overlays above the layer take the pointer
+  hit = this.hitTestEvent_(domEvent);
+  if (this.isOverOverlay_(domEvent)) {
+    hit.feature = null;
+  }
+  if (hit.feature !== hovered) {
+    this.setHoveredFeature_(hit.feature);
+
+    if (hovered !== null) {
+      google.maps.event.trigger(this, 'mouseout', {
+        feature: hovered,
+        latLng: hit.latLng,
+        pixel: hit.pixel,
+        domEvent: domEvent
+      });
+    }
+    if (hit.feature !== null) {
+      google.maps.event.trigger(this, 'mouseover', hit);
+    }
+  }
+  google.maps.event.trigger(this, 'mousemove', hit);
+};
+
+/**
+ * Set a function that will be called whenever the parent map and the overlay's
+ * canvas have been resized. It is passed the CanvasLayer.FrameContext of the
+ * update. If opt_resizeHandler is null or unspecified, any existing callback
+ * is removed. Only one resize handler can be set; use
+ * addListener('resize', ...) to add others.
+ * @param {?function(!CanvasLayer.FrameContext)=} opt_resizeHandler The resize
+ *     callback function.
+ */
+CanvasLayer.prototype.setResizeHandler = function(opt_resizeHandler) {
+  this.resizeHandler_ = opt_resizeHandler;
+};
+
+/**
+ * Sets a margin by which the canvas extends past every side of the map, so
+ * that a pan smaller than the margin reveals already-drawn content and
+ * doesn't require a redraw. The margin is given in CSS pixels, or as a
+ * percentage string (e.g. '25%') of the map's width and height.
+ * @param {number|string} overscan
+ */
+CanvasLayer.prototype.setOverscan = function(overscan) {
+  if (typeof overscan === 'string' ? !/^\d*\.?\d+%$/.test(overscan) :
+      !(overscan >= 0)) {
+    throw new Error('"' + overscan + '" is not a valid overscan margin.');
+  }
+
+  this.overscan_ = overscan;
+  this.resize_();
+};
+
+/**
+ * Sets whether zoom changes are animated. When true, the previously drawn
+ * frame is CSS-scaled about the zoom's focal point to follow the map, both
+ * between a zoom change and its redraw and through the fractional zoom levels
+ * of an animated zoom, and the freshly drawn frame is swapped in once the
+ * update handler completes.
+ * @param {boolean} zoomAnimation
+ */
+CanvasLayer.prototype.setZoomAnimation = function(zoomAnimation) {
+  this.zoomAnimation_ = !!zoomAnimation;
+
+  if (!this.zoomAnimation_) {
+    this.unscaleFrame_();
+  }
+};
+
+/**
+ * @return {number|string} The overscan margin.
+ */
+CanvasLayer.prototype.getOverscan = function() {
+  return this.overscan_;
+};
+
+/**
+ * Sets a value for scaling the canvas resolution relative to the canvas
+ * display size. This can be used to save computation by scaling the backing
+ * buffer down, or to support high DPI devices by scaling it up (by e.g.
+ * window.devicePixelRatio). If 'auto', the scale follows
+ * window.devicePixelRatio (times any resolutionScaleMultiplier) as it changes,
+ * e.g. when the window moves to another monitor or the page is zoomed.
+ * @param {number|string} scale
+ */
+CanvasLayer.prototype.setResolutionScale = function(scale) {
+  if (scale === 'auto') {
+    this.autoResolutionScale_ = true;
+    this.watchDevicePixelRatio_();
+  } else if (typeof scale === 'number') {
+    this.autoResolutionScale_ = false;
+    this.unwatchDevicePixelRatio_();
+    this.requestedResolutionScale_ = scale;
+    this.resize_();
+  }
+};
+
+/**
+ * @return {number} The current resolution scale. If set to 'auto', this is
+ *     the scale currently derived from window.devicePixelRatio. Any adaptive
+ *     adjustment, or reduction to keep the canvas within the size limits of
+ *     WebGL, is included.
+ */
+CanvasLayer.prototype.getResolutionScale = function() {
+  return this.resolutionScale_;
+};
+
+/**
+ * Sets a factor by which window.devicePixelRatio is multiplied when the
+ * resolution scale is 'auto', e.g. 0.5 to render at half the device's
+ * resolution. Default is 1.
+ * @param {number} multiplier
+ */
+CanvasLayer.prototype.setResolutionScaleMultiplier = function(multiplier) {
+  this.resolutionScaleMultiplier_ = multiplier;
+
+  if (this.autoResolutionScale_) {
+    this.watchDevicePixelRatio_();
+  }
+};
+
+/**
+ * Updates resolutionScale_ from the current devicePixelRatio and (re)starts
+ * watching for the next change to it. The watch only runs while the layer is
+ * on a map.
+ * @private
+ */
+CanvasLayer.prototype.watchDevicePixelRatio_ = function() {
+  this.unwatchDevicePixelRatio_();
+
+  if (!this.autoResolutionScale_) {
+    return;
+  }
+
+  var ratio = window.devicePixelRatio || 1;
+  this.requestedResolutionScale_ = ratio * this.resolutionScaleMultiplier_;
+  this.resize_();
+
+  // a resolution query only fires once, when the ratio stops matching, so a
+  // new one is needed for each change
+  if (this.isAdded_ && window.matchMedia) {
+    var query = window.matchMedia('(resolution: ' + ratio + 'dppx)');
+    if (query.addEventListener) {
+      query.addEventListener('change', this.devicePixelRatioFunction_);
+    } else if (query.addListener) {
+      query.addListener(this.devicePixelRatioFunction_);
+    }
+    this.devicePixelRatioQuery_ = query;
+  }
+};
+
+/**
+ * Stops watching for devicePixelRatio changes.
+ * @private
+ */
+CanvasLayer.prototype.unwatchDevicePixelRatio_ = function() {
+  var query = this.devicePixelRatioQuery_;
+  if (query) {
+    if (query.removeEventListener) {
+      query.removeEventListener('change', this.devicePixelRatioFunction_);
+    } else if (query.removeListener) {
+      query.removeListener(this.devicePixelRatioFunction_);
+    }
+    this.devicePixelRatioQuery_ = null;
+  }
+};
+
+/**
+ * Turns adaptive resolution on or off. When on, the time taken by the resize
+ * and update handlers is measured each frame, and the resolution scale is
+ * stepped down while it exceeds the frame budget and back up once frames have
+ * been comfortably under budget for a while. The adaptive factor multiplies
+ * the resolution scale set by setResolutionScale and is bounded by minFactor
+ * and maxFactor. Pass true for the default settings.
+ * @param {boolean|CanvasLayer.AdaptiveResolutionOptions} adaptive
+ */
+CanvasLayer.prototype.setAdaptiveResolution = function(adaptive) {
+  if (adaptive) {
+    var options = adaptive === true ? {} : adaptive;
+    this.adaptiveResolution_ = {
+      frameBudget: options.frameBudget !== undefined ? options.frameBudget :
+          CanvasLayer.DEFAULT_FRAME_BUDGET_,
+      minFactor: options.minFactor !== undefined ? options.minFactor : 0.5,
+      maxFactor: options.maxFactor !== undefined ? options.maxFactor : 1,
+      stableFrames: options.stableFrames !== undefined ?
+          options.stableFrames : 60
+    };
+    this.adaptiveFactor_ = Math.min(
+        Math.max(1, this.adaptiveResolution_.minFactor),
+        this.adaptiveResolution_.maxFactor);
+  } else {
+    this.adaptiveResolution_ = null;
+    this.adaptiveFactor_ = 1;
+  }
+
+  this.frameTimeAverage_ = null;
+  this.adaptiveFrameCount_ = 0;
+  this.adaptiveStableCount_ = 0;
+  this.resize_();
+};
+
+/**
+ * Settings for adaptive resolution.
+ * <ul>
+ *   <li>frameBudget: the time, in milliseconds, the update handlers should
+ *       take each frame. Default is 1000/60.
+ *   <li>minFactor, maxFactor: the bounds on the factor applied to the
+ *       resolution scale. Defaults are 0.5 and 1.
+ *   <li>stableFrames: the number of consecutive frames that must come in
+ *       well under budget before resolution is stepped back up. Default is 60.
+ * </ul>
+ * @typedef {{
+ *   frameBudget: (number|undefined),
+ *   minFactor: (number|undefined),
+ *   maxFactor: (number|undefined),
+ *   stableFrames: (number|undefined)
+ * }}
+ */
+CanvasLayer.AdaptiveResolutionOptions;
+
+/**
+ * Adjusts the adaptive resolution factor based on the time taken by the
+ * latest frame.
+ * @param {number} frameTime The time taken by the update handlers, in
+ *     milliseconds.
+ * @private
+ */
+CanvasLayer.prototype.adaptResolution_ = function(frameTime) {
+  var adaptive = this.adaptiveResolution_;
+
+  var average = this.frameTimeAverage_ === null ? frameTime :
+      this.frameTimeAverage_ +
+      CanvasLayer.FRAME_TIME_SMOOTHING_ * (frameTime - this.frameTimeAverage_);
+  this.frameTimeAverage_ = average;
+  this.adaptiveFrameCount_++;
+
+  if (average < adaptive.frameBudget * CanvasLayer.ADAPTIVE_HEADROOM_) {
+    this.adaptiveStableCount_++;
+  } else {
+    this.adaptiveStableCount_ = 0;
+  }
+
+  var factor = this.adaptiveFactor_;
+  if (average > adaptive.frameBudget &&
+      this.adaptiveFrameCount_ >= CanvasLayer.ADAPTIVE_SETTLE_FRAMES_) {
+    factor = Math.max(factor * CanvasLayer.ADAPTIVE_STEP_, adaptive.minFactor);
+  } else if (this.adaptiveStableCount_ >= adaptive.stableFrames) {
+    factor = Math.min(factor / CanvasLayer.ADAPTIVE_STEP_, adaptive.maxFactor);
+    this.adaptiveStableCount_ = 0;
+  }
+
+  if (factor !== this.adaptiveFactor_) {
+    this.adaptiveFactor_ = factor;
+    this.frameTimeAverage_ = null;
+    this.adaptiveFrameCount_ = 0;
+    this.adaptiveStableCount_ = 0;
+    this.resize_();
+  }
+};
+
+/**
+ * Set a function that will be called when a repaint of the canvas is required.
+ * It is passed the CanvasLayer.FrameContext of the update. If opt_updateHandler
+ * is null or unspecified, any existing callback is removed. Only one update
+ * handler can be set; use addListener('update', ...) to add others.
+ * @param {?function(!CanvasLayer.FrameContext)=} opt_updateHandler The update
+ *     callback function.
+ */
+CanvasLayer.prototype.setUpdateHandler = function(opt_updateHandler) {
+  this.updateHandler_ = opt_updateHandler;
+};
+
+/**
+ * @inheritDoc
+ */
+CanvasLayer.prototype.onAdd = function() {
+  if (this.isAdded_) {
+    return;
+  }
+
+  this.isAdded_ = true;
+  this.setPane_();
+  this.updateMouseTarget_();
+
+  this.resizeListener_ = google.maps.event.addListener(this.getMap(),
+      'bounds_changed', this.resizeFunction_);
+  this.centerListener_ = google.maps.event.addListener(this.getMap(),
+      'bounds_changed', this.repositionFunction_);
+
+  this.resize_();
+  this.repositionCanvas_();
+  this.startSuspensionMonitors_();
+  this.watchDevicePixelRatio_();
+
+  google.maps.event.trigger(this, 'added');
+};
+
+/**
+ * @inheritDoc
+ */
+CanvasLayer.prototype.onRemove = function() {
+  if (!this.isAdded_) {
+    return;
+  }
+
+  this.isAdded_ = false;
+  this.topLeft_ = null;
+  this.topLeftWorld_ = null;
+  this.zoom_ = null;
+  this.renderedView_ = null;
+  this.isFrameScaled_ = false;
+  this.workerFrameViews_ = {};
+
+  // remove canvas and listeners for pan and resize from map
+  this.canvas.parentElement.removeChild(this.canvas);
+  this.updateMouseTarget_();
+  if (this.centerListener_) {
+    google.maps.event.removeListener(this.centerListener_);
+    this.centerListener_ = null;
+  }
+  if (this.resizeListener_) {
+    google.maps.event.removeListener(this.resizeListener_);
+    this.resizeListener_ = null;
+  }
+
+  // cease canvas update callbacks
+  if (this.requestAnimationFrameId_) {
+    this.cancelAnimFrame_.call(window, this.requestAnimationFrameId_);
+    this.requestAnimationFrameId_ = null;
+  }
+  this.pendingReasons_ = CanvasLayer.createUpdateReasons_();
+  this.lastFrameTimestamp_ = null;
+
+  if (this.recording_) {
+    this.stopRecording();
+  }
+
+  this.stopSuspensionMonitors_();
+  this.unwatchDevicePixelRatio_();
+
+  google.maps.event.trigger(this, 'removed');
+};
+
+/**
+ * Permanently removes the layer from its map and releases what it holds. A
+ * 'dispose' event is fired first, while the context is still usable, so
+ * listeners (such as a CanvasLayerResources) can delete their GPU resources;
+ * then the clock is detached, a worker started from a script URL is
+ * terminated and all listeners on the layer are removed. The layer can't be
+ * used afterwards. Further calls do nothing.
+ */
+CanvasLayer.prototype.dispose = function() {
+  if (this.disposed_) {
+    return;
+  }
+  this.disposed_ = true;
+
+  google.maps.event.trigger(this, 'dispose');
+
+  this.setMap(null);
+  this.setClock(null);
+  this.setHitTest(null);
+
+  var canvas = this.canvas;
+  canvas.removeEventListener('webglcontextlost', this.contextLostFunction_,
+      false);
+  canvas.removeEventListener('webglcontextrestored',
+      this.contextRestoredFunction_, false);
+  canvas.removeEventListener('contextlost', this.contextLostFunction_, false);
+  canvas.removeEventListener('contextrestored',
+      this.contextRestoredFunction_, false);
+
+  if (this.worker_) {
+    this.worker_.removeEventListener('message', this.workerMessageFunction_,
+        false);
+    if (this.ownsWorker_) {
+      this.worker_.terminate();
+    }
+  }
+
+  this.context_ = null;
+  this.loseContextExtension_ = null;
+  google.maps.event.clearInstanceListeners(this);
+};
+
+/**
+ * @return {boolean} Whether dispose has been called.
+ */
+CanvasLayer.prototype.isDisposed = function() {
+  return this.disposed_;
+};
+
+/**
+ * The internal callback for resize events that resizes the canvas to keep the
+ * map properly covered.
+ * @private
+ */
+CanvasLayer.prototype.resize_ = function() {
+  this.resolutionScale_ = this.requestedResolutionScale_ * this.adaptiveFactor_;
+
+  if (!this.isAdded_) {
+    return;
+  }
+
+  var map = this.getMap();
+  var mapWidth = map.getDiv().offsetWidth;
+  var mapHeight = map.getDiv().offsetHeight;
+
+  // overscan extends the canvas by a margin on every side
+  this.overscanX_ = CanvasLayer.resolveOverscan_(this.overscan_, mapWidth);
+  this.overscanY_ = CanvasLayer.resolveOverscan_(this.overscan_, mapHeight);
+  var cssWidth = mapWidth + 2 * this.overscanX_;
+  var cssHeight = mapHeight + 2 * this.overscanY_;
+
+  // keep the backing store within what can be allocated and drawn to
+  var maxSize = this.getMaxCanvasSize_();
+  this.resolutionScale_ = Math.min(this.resolutionScale_,
+      maxSize.width / cssWidth, maxSize.height / cssHeight);
+
+  // canvas dimensions are truncated to integers, so round to compare
+  var newWidth = Math.round(cssWidth * this.resolutionScale_);
+  var newHeight = Math.round(cssHeight * this.resolutionScale_);
+  var oldWidth = this.canvasWidth_;
+  var oldHeight = this.canvasHeight_;
+
+  // resizing may allocate a new back buffer, so do so conservatively
+  if (oldWidth !== newWidth || oldHeight !== newHeight) {
+    this.canvasWidth_ = newWidth;
+    this.canvasHeight_ = newHeight;
+    this.renderedView_ = null;
+
+    // a worker resizes its canvas when it next draws
+    if (!this.worker_) {
+      this.canvas.width = newWidth;
+      this.canvas.height = newHeight;
+    }
+
+    this.needsResize_ = true;
+    this.requestUpdate_('resize');
   }
 
   // reset styling if new sizes don't match; resize of data not needed
-  if (this.canvasCssWidth_ !== mapWidth ||
-      this.canvasCssHeight_ !== mapHeight) {
-    this.canvasCssWidth_ = mapWidth;
-    this.canvasCssHeight_ = mapHeight;
-    this.canvas.style.width = mapWidth + 'px';
-    this.canvas.style.height = mapHeight + 'px';
+  if (this.canvasCssWidth_ !== cssWidth ||
+      this.canvasCssHeight_ !== cssHeight) {
+    this.canvasCssWidth_ = cssWidth;
+    this.canvasCssHeight_ = cssHeight;
+    this.canvas.style.width = cssWidth + 'px';
+    this.canvas.style.height = cssHeight + 'px';
+    this.mouseTarget_.style.width = cssWidth + 'px';
+    this.mouseTarget_.style.height = cssHeight + 'px';
+
+    // recenter the resized canvas on the view
+    this.topLeftWorld_ = null;
+    this.repositionCanvas_();
+  }
+
+  this.updateMapMatrix_();
+  this.postView_();
+};
+
+/**
+ * Returns the largest canvas backing store that can be allocated and drawn to
+ * in full. For a WebGL context type, this is limited by MAX_RENDERBUFFER_SIZE
+ * and MAX_VIEWPORT_DIMS, measured once with the layer's own context (or, when
+ * drawing in a worker, a temporary one). Otherwise it is
+ * CanvasLayer.MAX_2D_CANVAS_SIZE_, so no context is created just to measure.
+ * @return {{width: number, height: number}}
+ * @private
+ */
+CanvasLayer.prototype.getMaxCanvasSize_ = function() {
+  if (this.contextType_ !== 'webgl' && this.contextType_ !== 'webgl2') {
+    return CanvasLayer.MAX_2D_CANVAS_SIZE_;
+  }
+  if (CanvasLayer.maxWebGlCanvasSize_) {
+    return CanvasLayer.maxWebGlCanvasSize_;
+  }
+
+  var gl = null;
+  try {
+    if (this.worker_) {
+      var canvas = document.createElement('canvas');
+      gl = canvas.getContext('webgl') ||
+          canvas.getContext('experimental-webgl');
+    } else {
+      gl = this.getContext();
+    }
+  } catch (e) {
+    // no WebGL, so no WebGL limits
+  }
+
+  var renderbufferSize = gl && gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+  var viewportDims = gl && gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+
+  // free a temporary context rather than wait for it to be collected
+  if (gl && this.worker_) {
+    var loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) {
+      loseContext.loseContext();
+    }
+  }
+
+  // without WebGL, or while the context is lost, measure again next time
+  if (!renderbufferSize || !viewportDims) {
+    return CanvasLayer.MAX_2D_CANVAS_SIZE_;
+  }
+
+  CanvasLayer.maxWebGlCanvasSize_ = {
+    width: Math.min(renderbufferSize, viewportDims[0]),
+    height: Math.min(renderbufferSize, viewportDims[1])
+  };
+  return CanvasLayer.maxWebGlCanvasSize_;
+};
+
+/**
+ * The largest 2d canvas backing store used. Browsers cap each dimension at
+ * 32767 pixels and the area at 16384 * 16384 pixels (some less), and fail
+ * silently beyond that.
+ * @const {{width: number, height: number}}
+ * @private
+ */
+CanvasLayer.MAX_2D_CANVAS_SIZE_ = {width: 16384, height: 16384};
+
+/**
+ * The measured limits on WebGL canvas size, once getMaxCanvasSize_ has
+ * measured them.
+ * @private {?{width: number, height: number}}
+ */
+CanvasLayer.maxWebGlCanvasSize_ = null;
+
+/**
+ * Converts an overscan option to a margin in CSS pixels.
+ * @param {number|string} overscan CSS pixels, or a percentage string.
+ * @param {number} viewSize The width or height of the map, in CSS pixels.
+ * @return {number} The margin, in whole CSS pixels.
+ * @private
+ */
+CanvasLayer.resolveOverscan_ = function(overscan, viewSize) {
+  if (typeof overscan === 'string') {
+    return Math.round(parseFloat(overscan) / 100 * viewSize);
+  }
+
+  return Math.round(overscan);
+};
+
+/**
+ * @inheritDoc
+ */
+CanvasLayer.prototype.draw = function() {
+  this.repositionCanvas_();
+};
+
+/**
+ * Internal callback for map view changes. Since the Maps API moves the overlay
+ * along with the map, this function calculates the opposite translation to
+ * keep the canvas in place. With an overscan margin, the canvas is instead
+ * left to move with the map until the view would leave it, and only then is
+ * it recentered and redrawn.
+ * @private
+ */
+CanvasLayer.prototype.repositionCanvas_ = function() {
+  // TODO(bckenny): *should* only be executed on RAF, but in current browsers
+  //     this causes noticeable hitches in map and overlay relative
+  //     positioning.
+
+  var map = this.getMap();
+  var center = map.getCenter();
+  var zoom = map.getZoom();
+  var scale = Math.pow(2, zoom);
+
+  // Canvas position relative to draggable map's container depends on
+  // overlayView's projection, not the map's. Have to use the center of the
+  // map for this, not the top left, because bounds are clamped to -180 and 180
+  // when completely zoomed out, while the center is unwrapped.
+  var projection = this.getProjection();
+  var divCenter = projection.fromLatLngToDivPixel(center);
+  var worldCenter = map.getProjection().fromLatLngToPoint(center);
+
+  if (this.zoom_ === zoom && this.isViewInCanvas_(divCenter, worldCenter)) {
+    return;
+  }
+
+  var offsetX = -Math.round(this.canvasCssWidth_ / 2 - divCenter.x);
+  var offsetY = -Math.round(this.canvasCssHeight_ / 2 - divCenter.y);
+  this.canvasOffsetX_ = offsetX;
+  this.canvasOffsetY_ = offsetY;
+
+  // until it's redrawn, fit the frame on the canvas to the new zoom level
+  if (this.zoomAnimation_ && this.renderedView_ &&
+      this.renderedView_.zoom !== zoom) {
+    this.scaleFrame_(divCenter, worldCenter, scale);
+  } else {
+    this.unscaleFrame_();
+  }
+
+  // Rounding the translation moves the canvas by up to half a CSS pixel
+  // relative to the map, so track the world coordinate of its actual corner.
+  var oldZoom = this.zoom_;
+  this.topLeftWorld_ = new google.maps.Point(
+      worldCenter.x - (divCenter.x - offsetX) / scale,
+      worldCenter.y - (divCenter.y - offsetY) / scale);
+  this.zoom_ = zoom;
+  this.updateMapMatrix_();
+
+  // left is an offset from the center to keep it unwrapped
+  var top = map.getProjection().fromPointToLatLng(this.topLeftWorld_).lat();
+  var left = center.lng() +
+      (this.topLeftWorld_.x - worldCenter.x) * 360 / CanvasLayer.WORLD_SIZE_;
+  this.topLeft_ = new google.maps.LatLng(top, left);
+
+  // a first positioning counts as both
+  if (oldZoom !== zoom) {
+    this.requestUpdate_('zoom');
+  }
+  this.requestUpdate_('pan');
+  this.postView_();
+};
+
+/**
+ * Returns true if the canvas, where it was last positioned, still covers the
+ * whole view of the map. Always false if the canvas hasn't been positioned,
+ * or if the Maps API has since shifted the origin of the overlay's panes.
+ * @param {!google.maps.Point} divCenter The div pixel of the map center.
+ * @param {!google.maps.Point} worldCenter The world point of the map center.
+ * @return {boolean}
+ * @private
+ */
+CanvasLayer.prototype.isViewInCanvas_ = function(divCenter, worldCenter) {
+  if (!this.topLeftWorld_) {
+    return false;
+  }
+
+  var scale = Math.pow(2, this.zoom_);
+
+  // compare against the copy of the center nearest the canvas, in case the
+  // center has been wrapped across the antimeridian since
+  var canvasCenterX = this.topLeftWorld_.x + this.canvasCssWidth_ / (2 * scale);
+  var centerX = CanvasLayer.nearestWorldCopy_(worldCenter.x, canvasCenterX);
+
+  // where the canvas's corner should now be, which only differs from where it
+  // was placed if the panes have been moved
+  var canvasX = divCenter.x + (this.topLeftWorld_.x - centerX) * scale;
+  var canvasY = divCenter.y + (this.topLeftWorld_.y - worldCenter.y) * scale;
+  if (Math.abs(canvasX - this.canvasOffsetX_) > 0.5 ||
+      Math.abs(canvasY - this.canvasOffsetY_) > 0.5) {
+    return false;
+  }
+
+  var viewWidth = this.canvasCssWidth_ - 2 * this.overscanX_;
+  var viewHeight = this.canvasCssHeight_ - 2 * this.overscanY_;
+  var viewX = divCenter.x - viewWidth / 2 - canvasX;
+  var viewY = divCenter.y - viewHeight / 2 - canvasY;
+
+  // the canvas translation was rounded, so allow it half a pixel of slop
+  return viewX >= -0.5 && viewX <= 2 * this.overscanX_ + 0.5 &&
+      viewY >= -0.5 && viewY <= 2 * this.overscanY_ + 0.5;
+};
+
+/**
+ * Returns the world x coordinate equivalent to x, shifted by whole worlds,
+ * that is nearest nearX.
+ * @param {number} x
+ * @param {number} nearX
+ * @return {number}
+ * @private
+ */
+CanvasLayer.nearestWorldCopy_ = function(x, nearX) {
+  return x + CanvasLayer.WORLD_SIZE_ *
+      Math.round((nearX - x) / CanvasLayer.WORLD_SIZE_);
+};
+
+/**
+ * Transforms the canvas so the frame last drawn on it, for renderedView_,
+ * lines up with the map at the current view.
+ * @param {!google.maps.Point} divCenter The div pixel of the map center.
+ * @param {!google.maps.Point} worldCenter The world point of the map center.
+ * @param {number} scale The current map scale.
+ * @private
+ */
+CanvasLayer.prototype.scaleFrame_ = function(divCenter, worldCenter, scale) {
+  var rendered = this.renderedView_;
+  var renderedScale = Math.pow(2, rendered.zoom);
+
+  var canvasCenterX = rendered.topLeftWorld.x +
+      this.canvasCssWidth_ / (2 * renderedScale);
+  var centerX = CanvasLayer.nearestWorldCopy_(worldCenter.x, canvasCenterX);
+  var x = divCenter.x + (rendered.topLeftWorld.x - centerX) * scale;
+  var y = divCenter.y + (rendered.topLeftWorld.y - worldCenter.y) * scale;
+
+  this.setCanvasTransform_('translate(' + x + 'px,' + y + 'px) scale(' +
+      (scale / renderedScale) + ')');
+  this.isFrameScaled_ = true;
+};
+
+/**
+ * Returns the canvas to its plain translated position, as a new frame has
+ * been drawn for the current view.
+ * @private
+ */
+CanvasLayer.prototype.unscaleFrame_ = function() {
+  this.setCanvasTransform_('translate(' + this.canvasOffsetX_ + 'px,' +
+      this.canvasOffsetY_ + 'px)');
+  this.isFrameScaled_ = false;
+};
+
+/**
+ * Sets the CSS transform of the canvas, and of the mouse target over it.
+ * @param {string} transform
+ * @private
+ */
+CanvasLayer.prototype.setCanvasTransform_ = function(transform) {
+  this.canvas.style[CanvasLayer.CSS_TRANSFORM_] = transform;
+  this.mouseTarget_.style[CanvasLayer.CSS_TRANSFORM_] = transform;
+};
+
+/**
+ * Recomputes mapMatrix_ and splitMapMatrix_ for the current canvas size and
+ * view. Has no effect until the canvas has been positioned on the map.
+ * @private
+ */
+CanvasLayer.prototype.updateMapMatrix_ = function() {
+  if (!this.topLeftWorld_) {
+    return;
+  }
+
+  var scale = this.getPixelsPerWorldUnit();
+  var scaleX = 2 * scale / this.canvasWidth_;
+  var scaleY = -2 * scale / this.canvasHeight_;
+
+  // Not snapped to the pixel grid, so that WebGL content lines up with the
+  // map and with worldPointToCanvasPixel and applyMapTransform.
+  var originX = this.topLeftWorld_.x;
+  var originY = this.topLeftWorld_.y;
+
+  // column-major, with z flattened to 0 as WebGL content is 2d
+  this.mapMatrix_.set([
+    scaleX, 0, 0, 0,
+    0, scaleY, 0, 0,
+    0, 0, 0, 0,
+    -1 - scaleX * originX, 1 - scaleY * originY, 0, 1
+  ]);
+
+  // The split matrix takes coordinates relative to the origin instead, which
+  // stay small enough to survive float32 even at deep zoom levels.
+  var split = this.splitMapMatrix_;
+  split.matrix.set([
+    scaleX, 0, 0, 0,
+    0, scaleY, 0, 0,
+    0, 0, 0, 0,
+    -1, 1, 0, 1
+  ]);
+  CanvasLayer.splitDouble([originX, originY], split.originHigh,
+      split.originLow);
+};
+
+/**
+ * Internal callback that serves as main animation scheduler via
+ * requestAnimationFrame. Calls resize and update callbacks if set, and
+ * schedules the next frame if overlay is animated.
+ * @param {number=} opt_timestamp The requestAnimationFrame timestamp. Missing
+ *     when falling back to setTimeout.
+ * @private
+ */
+CanvasLayer.prototype.update_ = function(opt_timestamp) {
+  this.requestAnimationFrameId_ = null;
+
+  if (!this.isAdded_) {
+    return;
+  }
+
+  var timestamp = typeof opt_timestamp === 'number' ? opt_timestamp :
+      CanvasLayer.now_();
+
+  // skip animation frames that come too soon for the frame rate limit, as long
+  // as nothing else needs redrawing
+  if (this.isAnimationFrameEarly_(timestamp)) {
+    this.requestAnimationFrameId_ =
+        this.requestAnimFrame_.call(window, this.requestUpdateFunction_);
+    return;
+  }
+
+  var reasons = this.pendingReasons_;
+  this.pendingReasons_ = CanvasLayer.createUpdateReasons_();
+
+  if (this.isAnimated_ && !this.isSuspended()) {
+    this.requestUpdate_('animate');
+  }
+
+  var frame = this.createFrameContext_(timestamp, reasons);
+  var needsResize = this.needsResize_;
+  this.needsResize_ = false;
+
+  if (this.worker_) {
+    this.postUpdate_(frame, needsResize);
+  }
+
+  var handlerStart = CanvasLayer.now_();
+
+  if (needsResize) {
+    if (this.resizeHandler_) {
+      this.resizeHandler_(frame);
+    }
+    google.maps.event.trigger(this, 'resize', frame);
+  }
+
+  if (this.updateHandler_) {
+    this.updateHandler_(frame);
+  }
+  google.maps.event.trigger(this, 'update', frame);
+
+  // a worker reports when its frame is drawn, in handleWorkerMessage_
+  if (this.worker_) {
+    return;
+  }
+
+  // the canvas now holds a frame for the current view
+  this.renderedView_ = {topLeftWorld: this.topLeftWorld_, zoom: this.zoom_};
+  if (this.isFrameScaled_) {
+    this.unscaleFrame_();
+  }
+
+  if (this.adaptiveResolution_) {
+    this.adaptResolution_(CanvasLayer.now_() - handlerStart);
+  }
+};
+
+/**
+ * Moves drawing into a Web Worker. Control of the canvas is transferred to
+ * the worker as an OffscreenCanvas, and the worker is sent the view state
+ * whenever the canvas is resized or repositioned and an update message for
+ * every frame. The worker should use a CanvasLayerWorker (see
+ * CanvasLayerWorker.js) to receive these and run its own resize and update
+ * handlers. Positioning the canvas over the map remains on the main thread;
+ * handlers and listeners on this layer are still called, but can't draw.
+ * worker may be a Worker or the URL of a script to start as a classic worker,
+ * which can load CanvasLayerWorker.js with importScripts. This can only be
+ * set once per layer, before any context has been created for the canvas,
+ * and requires OffscreenCanvas support.
+ * @param {!Worker|string} worker
+ */
+CanvasLayer.prototype.setRenderInWorker = function(worker) {
+  if (this.worker_) {
+    throw new Error('CanvasLayer is already rendering in a worker.');
+  }
+  if (!this.canvas.transferControlToOffscreen) {
+    throw new Error('OffscreenCanvas is not supported in this browser.');
+  }
+  if (this.context_) {
+    throw new Error('CanvasLayer can\'t render in a worker once a context ' +
+        'has been created for its canvas.');
+  }
+
+  if (typeof worker === 'string') {
+    worker = new Worker(worker);
+    this.ownsWorker_ = true;
+  }
+
+  var offscreenCanvas = this.canvas.transferControlToOffscreen();
+  worker.addEventListener('message', this.workerMessageFunction_, false);
+  worker.postMessage({
+    type: 'canvaslayer:init',
+    canvas: offscreenCanvas,
+    view: this.createViewState_()
+  }, [offscreenCanvas]);
+
+  this.worker_ = worker;
+  this.needsResize_ = true;
+};
+
+/**
+ * @return {Worker} The worker drawing this layer, or null if drawing is on
+ *     the main thread.
+ */
+CanvasLayer.prototype.getWorker = function() {
+  return this.worker_;
+};
+
+/**
+ * Sets the type of context getContext creates for the canvas: '2d', 'webgl'
+ * or 'webgl2'. A canvas can only ever have one context, so this can't be
+ * changed once getContext has created it.
+ * @param {string} contextType
+ * @param {Object=} opt_contextAttributes Attributes to create the context
+ *     with, e.g. {alpha: false} or {preserveDrawingBuffer: true}.
+ */
+CanvasLayer.prototype.setContextType = function(contextType,
+    opt_contextAttributes) {
+  if (CanvasLayer.CONTEXT_TYPES_.indexOf(contextType) === -1) {
+    throw new Error('"' + contextType + '" is not a supported context ' +
+        'type.');
+  }
+  if (this.context_ && contextType !== this.contextType_) {
+    throw new Error('CanvasLayer already has a "' + this.contextType_ +
+        '" context.');
+  }
+
+  this.contextType_ = contextType;
+  this.contextAttributes_ = opt_contextAttributes || null;
+};
+
+/**
+ * @return {?string} The type of context getContext creates, or null if none
+ *     has been set.
+ */
+CanvasLayer.prototype.getContextType = function() {
+  return this.contextType_;
+};
+
+/**
+ * Returns the canvas's rendering context, of the type set with the
+ * contextType option (falling back to 'experimental-webgl' for 'webgl'),
+ * creating it on the first call. The same context is returned after it has
+ * been lost and restored.
+ * @return {CanvasRenderingContext2D|WebGLRenderingContext} The context, or
+ *     null if no contextType is set, the browser doesn't support it, the
+ *     layer is rendering in a worker or it has been disposed.
+ */
+CanvasLayer.prototype.getContext = function() {
+  if (this.context_ || !this.contextType_ || this.worker_ ||
+      this.disposed_) {
+    return this.context_;
+  }
+
+  var attributes = this.contextAttributes_ || undefined;
+  var context = null;
+  try {
+    context = this.canvas.getContext(this.contextType_, attributes);
+    if (!context && this.contextType_ === 'webgl') {
+      context = this.canvas.getContext('experimental-webgl', attributes);
+    }
+  } catch (e) {
+    // treated as unsupported
+  }
+
+  this.context_ = context || null;
+  return this.context_;
+};
+
+/**
+ * @return {boolean} Whether the canvas's context is currently lost.
+ */
+CanvasLayer.prototype.isContextLost = function() {
+  return this.contextLost_;
+};
+
+/**
+ * For testing context-loss handling, loses the layer's WebGL context with the
+ * WEBGL_lose_context extension. The 'contextlost' event follows
+ * asynchronously. If opt_restoreDelay is given, the context is restored that
+ * many milliseconds later; otherwise call simulateContextRestore.
+ * @param {number=} opt_restoreDelay
+ * @return {boolean} Whether context loss could be simulated.
+ */
+CanvasLayer.prototype.simulateContextLoss = function(opt_restoreDelay) {
+  if (!this.loseContextExtension_) {
+    var gl = this.getContext();
+    this.loseContextExtension_ = (gl && !this.contextLost_ &&
+        gl.getExtension && gl.getExtension('WEBGL_lose_context')) || null;
+  }
+  if (!this.loseContextExtension_) {
+    return false;
+  }
+
+  this.loseContextExtension_.loseContext();
+  if (opt_restoreDelay !== undefined) {
+    var layer = this;
+    window.setTimeout(function() {
+      layer.simulateContextRestore();
+    }, opt_restoreDelay);
+  }
+  return true;
+};
+
+/**
+ * Restores a context lost with simulateContextLoss. The 'contextrestored'
+ * event follows asynchronously.
+ */
+CanvasLayer.prototype.simulateContextRestore = function() {
+  if (this.loseContextExtension_ && this.contextLost_) {
+    this.loseContextExtension_.restoreContext();
+  }
+};
+
+/**
+ * Handles the loss of the canvas's context by deferring updates until it is
+ * restored.
+ * @param {!Event} event
+ * @private
+ */
+CanvasLayer.prototype.handleContextLost_ = function(event) {
+  // without this, the browser won't restore the context
+  event.preventDefault();
+
+  this.contextLost_ = true;
+  this.renderedView_ = null;
+  if (this.requestAnimationFrameId_) {
+    this.cancelAnimFrame_.call(window, this.requestAnimationFrameId_);
+    this.requestAnimationFrameId_ = null;
+  }
+
+  google.maps.event.trigger(this, 'contextlost', event);
+};
+
+/**
+ * Handles the restoration of the canvas's context. Listeners recreate their
+ * resources, then the resize and update handlers redraw the canvas.
+ * @param {!Event} event
+ * @private
+ */
+CanvasLayer.prototype.handleContextRestored_ = function(event) {
+  this.contextLost_ = false;
+
+  google.maps.event.trigger(this, 'contextrestored', event);
+
+  this.needsResize_ = true;
+  this.requestUpdate_('resize');
+};
+
+/**
+ * The view state sent to a worker, in a form that can be posted to it. See
+ * CanvasLayer.FrameContext for the meaning of each property; topLeft and
+ * topLeftWorld are plain objects (null if the layer is not on a map), and
+ * mapMatrix is a copy of getMapMatrix.
+ * @typedef {{
+ *   topLeft: ?{lat: number, lng: number},
+ *   topLeftWorld: ?{x: number, y: number},
+ *   zoom: ?number,
+ *   scale: number,
+ *   resolutionScale: number,
+ *   width: number,
+ *   height: number,
+ *   cssWidth: number,
+ *   cssHeight: number,
+ *   mapMatrix: !Float32Array
+ * }}
+ */
+CanvasLayer.ViewState;
+
+/**
+ * @return {!CanvasLayer.ViewState} The current view state.
+ * @private
+ */
+CanvasLayer.prototype.createViewState_ = function() {
+  var topLeft = this.topLeft_;
+  var topLeftWorld = this.topLeftWorld_;
+
+  return {
+    topLeft: topLeft ? {lat: topLeft.lat(), lng: topLeft.lng()} : null,
+    topLeftWorld: topLeftWorld ? {x: topLeftWorld.x, y: topLeftWorld.y} : null,
+    zoom: this.zoom_,
+    scale: this.getPixelsPerWorldUnit(),
+    resolutionScale: this.resolutionScale_,
+    width: this.canvasWidth_,
+    height: this.canvasHeight_,
+    cssWidth: this.canvasCssWidth_,
+    cssHeight: this.canvasCssHeight_,
+    mapMatrix: new Float32Array(this.mapMatrix_)
+  };
+};
+
+/**
+ * Sends the current view state to the worker, if there is one.
+ * @private
+ */
+CanvasLayer.prototype.postView_ = function() {
+  if (this.worker_) {
+    this.worker_.postMessage({
+      type: 'canvaslayer:view',
+      view: this.createViewState_()
+    });
+  }
+};
+
+/**
+ * Asks the worker to draw a frame.
+ * @param {!CanvasLayer.FrameContext} frame
+ * @param {boolean} needsResize If true, the worker's canvas must be resized
+ *     and its resize handler called first.
+ * @private
+ */
+CanvasLayer.prototype.postUpdate_ = function(frame, needsResize) {
+  this.workerFrameViews_[frame.frameNumber] = {
+    topLeftWorld: this.topLeftWorld_,
+    zoom: this.zoom_
+  };
+
+  this.worker_.postMessage({
+    type: 'canvaslayer:update',
+    frame: {
+      timestamp: frame.timestamp,
+      delta: frame.delta,
+      frameNumber: frame.frameNumber,
+      reasons: frame.reasons,
+      time: frame.time,
+      needsResize: needsResize
+    },
+    view: this.createViewState_()
+  });
+};
+
+/**
+ * Handles a message from the worker. A 'canvaslayer:rendered' message means
+ * the canvas now holds the frame with that frame number.
+ * @param {!MessageEvent} event
+ * @private
+ */
+CanvasLayer.prototype.handleWorkerMessage_ = function(event) {
+  var data = event.data;
+  if (!data || data.type !== 'canvaslayer:rendered') {
+    return;
+  }
+
+  var view = this.workerFrameViews_[data.frameNumber];
+  for (var frameNumber in this.workerFrameViews_) {
+    if (Number(frameNumber) <= data.frameNumber) {
+      delete this.workerFrameViews_[frameNumber];
+    }
+  }
+  if (!view || !this.isAdded_) {
+    return;
+  }
+
+  this.renderedView_ = view;
+  if (view.zoom === this.zoom_ && view.topLeftWorld === this.topLeftWorld_) {
+    if (this.isFrameScaled_) {
+      this.unscaleFrame_();
+    }
+  } else if (this.zoomAnimation_) {
+    // the view has moved on since the frame was posted, so fit it to the map
+    var map = this.getMap();
+    var center = map.getCenter();
+    this.scaleFrame_(this.getProjection().fromLatLngToDivPixel(center),
+        map.getProjection().fromLatLngToPoint(center),
+        Math.pow(2, map.getZoom()));
+  }
+
+  if (this.adaptiveResolution_) {
+    this.adaptResolution_(data.duration);
   }
 };
 
 /**
- * @inheritDoc
+ * Returns true if the pending update is only for animation or the clock and
+ * comes too soon after the previous frame for the current frame rate limit.
+ * @param {number} timestamp The timestamp of the pending frame.
+ * @return {boolean}
+ * @private
  */
-CanvasLayer.prototype.draw = function() {
-  this.repositionCanvas_();
+CanvasLayer.prototype.isAnimationFrameEarly_ = function(timestamp) {
+  var maxFps = this.getEffectiveMaxFps_();
+  var reasons = this.pendingReasons_;
+  if (!maxFps || this.isRecordingFrames_() ||
+      this.lastFrameTimestamp_ === null ||
+      !(reasons.animate || reasons.time) || reasons.pan || reasons.zoom ||
+      reasons.resize || reasons.explicit) {
+    return false;
+  }
+
+  var elapsed = timestamp - this.lastFrameTimestamp_;
+  return elapsed < 1000 / maxFps - CanvasLayer.FRAME_INTERVAL_TOLERANCE_;
 };
 
 /**
- * Internal callback for map view changes. Since the Maps API moves the overlay
- * along with the map, this function calculates the opposite translation to
- * keep the canvas in place.
+ * @return {number} A timestamp for frames run without a requestAnimationFrame
+ *     timestamp, on the same clock when possible.
  * @private
  */
-CanvasLayer.prototype.repositionCanvas_ = function() {
-  // TODO(bckenny): *should* only be executed on RAF, but in current browsers
-  //     this causes noticeable hitches in map and overlay relative
-  //     positioning.
+CanvasLayer.now_ = function() {
+  return window.performance && window.performance.now ?
+      window.performance.now() : Date.now();
+};
 
-  var map = this.getMap();
+/**
+ * Creates the frame context for an update and advances the frame counters.
+ * @param {number} timestamp The timestamp of the frame.
+ * @param {!CanvasLayer.UpdateReasons} reasons Why the update was scheduled.
+ * @return {!CanvasLayer.FrameContext}
+ * @private
+ */
+CanvasLayer.prototype.createFrameContext_ = function(timestamp, reasons) {
+  var delta = this.lastFrameTimestamp_ === null ? 0 :
+      timestamp - this.lastFrameTimestamp_;
+  this.lastFrameTimestamp_ = timestamp;
+
+  return {
+    timestamp: timestamp,
+    delta: delta,
+    frameNumber: this.frameNumber_++,
+    reasons: reasons,
+    topLeft: this.topLeft_,
+    topLeftWorld: this.topLeftWorld_,
+    zoom: this.zoom_,
+    scale: this.getPixelsPerWorldUnit(),
+    resolutionScale: this.resolutionScale_,
+    width: this.canvasWidth_,
+    height: this.canvasHeight_,
+    cssWidth: this.canvasCssWidth_,
+    cssHeight: this.canvasCssHeight_,
+    time: this.clock_ ? this.clock_.getTime() : null
+  };
+};
 
-  // topLeft can't be calculated from map.getBounds(), because bounds are
-  // clamped to -180 and 180 when completely zoomed out. Instead, calculate
-  // left as an offset from the center, which is an unwrapped LatLng.
-  var top = map.getBounds().getNorthEast().lat();
-  var center = map.getCenter();
-  var scale = Math.pow(2, map.getZoom());
-  var left = center.lng() - (this.canvasCssWidth_ * 180) / (256 * scale);
-  this.topLeft_ = new google.maps.LatLng(top, left);
+/**
+ * The reasons an update was scheduled. More than one may be true when several
+ * changes happen before the next animation frame.
+ * <ul>
+ *   <li>pan: the map was panned (or the layer was just added).
+ *   <li>zoom: the map's zoom level changed (or the layer was just added).
+ *   <li>resize: the canvas was resized.
+ *   <li>animate: the layer is animated and this is its next frame.
+ *   <li>time: the layer's clock ticked, was seeked or was replaced.
+ *   <li>explicit: scheduleUpdate was called.
+ * </ul>
+ * @typedef {{
+ *   pan: boolean,
+ *   zoom: boolean,
+ *   resize: boolean,
+ *   animate: boolean,
+ *   time: boolean,
+ *   explicit: boolean
+ * }}
+ */
+CanvasLayer.UpdateReasons;
 
-  // Canvas position relative to draggable map's container depends on
-  // overlayView's projection, not the map's. Have to use the center of the
-  // map for this, not the top left, for the same reason as above.
-  var projection = this.getProjection();
-  var divCenter = projection.fromLatLngToDivPixel(center);
-  var offsetX = -Math.round(this.canvasCssWidth_ / 2 - divCenter.x);
-  var offsetY = -Math.round(this.canvasCssHeight_ / 2 - divCenter.y);
-  this.canvas.style[CanvasLayer.CSS_TRANSFORM_] = 'translate(' +
-      offsetX + 'px,' + offsetY + 'px)';
+/**
+ * @return {!CanvasLayer.UpdateReasons} A set of reasons with none set.
+ * @private
+ */
+CanvasLayer.createUpdateReasons_ = function() {
+  return {
+    pan: false,
+    zoom: false,
+    resize: false,
+    animate: false,
+    time: false,
+    explicit: false
+  };
+};
+
+/**
+ * The state of the layer for a single update, passed to the resize and update
+ * handlers and to 'resize' and 'update' listeners.
+ * <ul>
+ *   <li>timestamp: the requestAnimationFrame timestamp, in milliseconds.
+ *   <li>delta: milliseconds since the previous frame, or 0 for the first.
+ *   <li>frameNumber: the number of frames preceding this one.
+ *   <li>reasons: why this update was scheduled.
+ *   <li>topLeft, topLeftWorld: see getTopLeft and getTopLeftWorldPoint.
+ *   <li>zoom: the (possibly fractional) map zoom level.
+ *   <li>scale: canvas pixels per world unit, see getPixelsPerWorldUnit.
+ *   <li>resolutionScale: the current resolution scale.
+ *   <li>width, height: the size of the canvas backing store.
+ *   <li>cssWidth, cssHeight: the CSS size of the canvas.
+ *   <li>time: the time of the layer's clock, in milliseconds, or null if it
+ *       has none. See setClock.
+ * </ul>
+ * @typedef {{
+ *   timestamp: number,
+ *   delta: number,
+ *   frameNumber: number,
+ *   reasons: !CanvasLayer.UpdateReasons,
+ *   topLeft: google.maps.LatLng,
+ *   topLeftWorld: google.maps.Point,
+ *   zoom: number,
+ *   scale: number,
+ *   resolutionScale: number,
+ *   width: number,
+ *   height: number,
+ *   cssWidth: number,
+ *   cssHeight: number,
+ *   time: ?number
+ * }}
+ */
+CanvasLayer.FrameContext;
 
-  this.scheduleUpdate();
+/**
+ * A convenience method to get the current LatLng coordinate of the top left of
+ * the current view of the map.
+ * @return {google.maps.LatLng} The top left coordinate.
+ */
+CanvasLayer.prototype.getTopLeft = function() {
+  return this.topLeft_;
 };
 
 /**
- * Internal callback that serves as main animation scheduler via
- * requestAnimationFrame. Calls resize and update callbacks if set, and
- * schedules the next frame if overlay is animated.
+ * Returns the world coordinate of the top left corner of the canvas. Unlike
+ * getTopLeft, the x coordinate is unwrapped, so it may lie outside of [0, 256)
+ * when the map shows more than one copy of the world.
+ * @return {google.maps.Point} The top left world coordinate, or null if the
+ *     layer is not on a map.
+ */
+CanvasLayer.prototype.getTopLeftWorldPoint = function() {
+  return this.topLeftWorld_;
+};
+
+/**
+ * Returns the number of canvas backing-store pixels per world coordinate unit
+ * at the current (possibly fractional) zoom level, including resolutionScale.
+ * @return {number} The scale factor, or NaN if the layer is not on a map.
+ */
+CanvasLayer.prototype.getPixelsPerWorldUnit = function() {
+  if (this.zoom_ === null) {
+    return NaN;
+  }
+
+  return Math.pow(2, this.zoom_) * this.resolutionScale_;
+};
+
+/**
+ * Converts a world coordinate to a canvas backing-store pixel coordinate.
+ * @param {google.maps.Point} worldPoint The world coordinate.
+ * @return {google.maps.Point} The canvas pixel, or null if the layer is not on
+ *     a map.
+ */
+CanvasLayer.prototype.worldPointToCanvasPixel = function(worldPoint) {
+  if (!this.topLeftWorld_) {
+    return null;
+  }
+
+  var scale = this.getPixelsPerWorldUnit();
+  return new google.maps.Point(
+      (worldPoint.x - this.topLeftWorld_.x) * scale,
+      (worldPoint.y - this.topLeftWorld_.y) * scale);
+};
+
+/**
+ * Converts a canvas backing-store pixel coordinate to a world coordinate. The
+ * returned x coordinate is unwrapped, matching getTopLeftWorldPoint.
+ * @param {google.maps.Point} canvasPixel The canvas pixel.
+ * @return {google.maps.Point} The world coordinate, or null if the layer is
+ *     not on a map.
+ */
+CanvasLayer.prototype.canvasPixelToWorldPoint = function(canvasPixel) {
+  if (!this.topLeftWorld_) {
+    return null;
+  }
+
+  var scale = this.getPixelsPerWorldUnit();
+  return new google.maps.Point(
+      this.topLeftWorld_.x + canvasPixel.x / scale,
+      this.topLeftWorld_.y + canvasPixel.y / scale);
+};
+
+/**
+ * Converts a LatLng to a canvas backing-store pixel coordinate. When several
+ * copies of the world are visible, the copy closest to the center of the
+ * canvas is used.
+ * @param {google.maps.LatLng} latLng The coordinate to convert.
+ * @return {google.maps.Point} The canvas pixel, or null if the layer is not on
+ *     a map.
+ */
+CanvasLayer.prototype.latLngToCanvasPixel = function(latLng) {
+  if (!this.topLeftWorld_) {
+    return null;
+  }
+
+  var worldPoint = this.getMap().getProjection().fromLatLngToPoint(latLng);
+
+  // shift by whole world widths to the copy nearest the canvas center
+  var centerX = this.topLeftWorld_.x +
+      this.canvasCssWidth_ / (2 * Math.pow(2, this.zoom_));
+  var worldX = worldPoint.x +
+      CanvasLayer.WORLD_SIZE_ *
+      Math.round((centerX - worldPoint.x) / CanvasLayer.WORLD_SIZE_);
+
+  return this.worldPointToCanvasPixel(
+      new google.maps.Point(worldX, worldPoint.y));
+};
+
+/**
+ * Converts a canvas backing-store pixel coordinate to a LatLng.
+ * @param {google.maps.Point} canvasPixel The canvas pixel.
+ * @return {google.maps.LatLng} The coordinate under the pixel, or null if the
+ *     layer is not on a map.
+ */
+CanvasLayer.prototype.canvasPixelToLatLng = function(canvasPixel) {
+  var worldPoint = this.canvasPixelToWorldPoint(canvasPixel);
+  if (!worldPoint) {
+    return null;
+  }
+
+  return this.getMap().getProjection().fromPointToLatLng(worldPoint);
+};
+
+/**
+ * Returns a matrix that transforms world coordinates directly to WebGL clip
+ * space for the current view, suitable for gl.uniformMatrix4fv. The same
+ * array is updated in place whenever the map moves or the canvas is resized,
+ * so it should be re-uploaded in every update, not cached. It places content
+ * exactly where worldPointToCanvasPixel and applyMapTransform do.
+ * If opt_worldOffset is given (see getWorldCopies), the matrix draws content
+ * shifted by that many world units, i.e. on another copy of the world. That
+ * matrix is also reused, by every offset, so must be uploaded before the next
+ * call.
+ * @param {number=} opt_worldOffset The x offset of a world copy.
+ * @return {!Float32Array} The column-major 4x4 map matrix.
+ */
+CanvasLayer.prototype.getMapMatrix = function(opt_worldOffset) {
+  if (!opt_worldOffset) {
+    return this.mapMatrix_;
+  }
+
+  var matrix = this.worldCopyMatrix_;
+  matrix.set(this.mapMatrix_);
+  matrix[12] += matrix[0] * opt_worldOffset;
+  return matrix;
+};
+
+/**
+ * Returns the x offsets, in world units, of every copy of the world that
+ * intersects the canvas. Each is a multiple of the world's width (256), with
+ * 0 for the copy spanning [0, 256); at low zoom levels, or with the view
+ * across the antimeridian, there is more than one. Content drawn once per
+ * offset (see drawWorldCopies) appears wherever the map shows it.
+ * @return {!Array<number>} The world copy offsets, from west to east. Empty if
+ *     the layer is not on a map.
+ */
+CanvasLayer.prototype.getWorldCopies = function() {
+  if (!this.topLeftWorld_) {
+    return [];
+  }
+
+  var worldSize = CanvasLayer.WORLD_SIZE_;
+  var left = this.topLeftWorld_.x;
+  var right = left + this.canvasCssWidth_ / Math.pow(2, this.zoom_);
+
+  var copies = [];
+  for (var copy = Math.floor(left / worldSize); copy * worldSize < right;
+      copy++) {
+    copies.push(copy * worldSize);
+  }
+
+  return copies;
+};
+
+/**
+ * Calls draw once for each copy of the world that intersects the canvas, so
+ * content that crosses the antimeridian, or is visible in more than one copy
+ * of the world, is drawn wherever the map shows it. draw is passed the world
+ * offset of the copy and the map matrix for it (see getMapMatrix), for use in
+ * WebGL. For the 2d canvas API, pass the context (and any
+ * MapTransformOptions), and its transform is set for each copy before draw is
+ * called, as by applyMapTransform.
+ * @param {function(number, !Float32Array)} draw
+ * @param {CanvasRenderingContext2D=} opt_context
+ * @param {CanvasLayer.MapTransformOptions=} opt_options
+ */
+CanvasLayer.prototype.drawWorldCopies = function(draw, opt_context,
+    opt_options) {
+  var options = opt_options || {};
+  var copies = this.getWorldCopies();
+  for (var i = 0; i < copies.length; i++) {
+    if (opt_context) {
+      this.applyMapTransform(opt_context, {
+        space: options.space,
+        lineWidth: options.lineWidth,
+        font: options.font,
+        worldOffset: copies[i]
+      });
+    }
+
+    draw(copies[i], this.getMapMatrix(copies[i]));
+  }
+};
+
+/**
+ * Returns a double-precision variant of getMapMatrix for deep zoom levels,
+ * where world coordinates no longer fit in a float32 with sub-pixel accuracy.
+ * World coordinates should be uploaded as high and low parts (see
+ * CanvasLayer.splitDouble), and the vertex shader should compute
+ * <pre>
+ *   vec2 rel = (worldHigh - originHigh) + (worldLow - originLow);
+ *   gl_Position = matrix * vec4(rel, 0., 1.);
+ * </pre>
+ * As with getMapMatrix, the returned arrays are updated in place.
+ * @return {!CanvasLayer.SplitMapMatrix} The split map matrix.
+ */
+CanvasLayer.prototype.getSplitMapMatrix = function() {
+  return this.splitMapMatrix_;
+};
+
+/**
+ * The double-precision split form of a map matrix. matrix takes coordinates
+ * relative to the view origin to clip space, and the origin itself is given
+ * as the sum of originHigh and originLow.
+ * @typedef {{
+ *   matrix: !Float32Array,
+ *   originHigh: !Float32Array,
+ *   originLow: !Float32Array
+ * }}
+ */
+CanvasLayer.SplitMapMatrix;
+
+/**
+ * Splits double-precision values into float32 high parts and the remaining
+ * low parts, so that high[i] + low[i] closely approximates values[i] on the
+ * GPU.
+ * @param {!(Array<number>|Float64Array)} values The values to split.
+ * @param {Float32Array=} opt_high Destination for the high parts.
+ * @param {Float32Array=} opt_low Destination for the low parts.
+ * @return {{high: !Float32Array, low: !Float32Array}} The split values.
+ */
+CanvasLayer.splitDouble = function(values, opt_high, opt_low) {
+  var high = opt_high || new Float32Array(values.length);
+  var low = opt_low || new Float32Array(values.length);
+  for (var i = 0; i < values.length; i++) {
+    high[i] = values[i];
+    low[i] = values[i] - high[i];
+  }
+
+  return {high: high, low: low};
+};
+
+/**
+ * Sets the transform of a 2d context on this layer's canvas so that content
+ * can be drawn directly in map coordinates for the current view. The
+ * coordinate space is chosen by options.space:
+ * <ul>
+ *   <li>'world' (the default): Maps API world coordinates, with the world
+ *       spanning [0, 256) in x and y.
+ *   <li>'latlng-mercator': x is longitude in degrees and y is the Mercator
+ *       ordinate of the latitude in degrees (see CanvasLayer.latToMercatorY).
+ *       Since y increases northward, text drawn in this space is mirrored.
+ * </ul>
+ * Any existing transform on the context is replaced. options.lineWidth and
+ * options.font (e.g. '12px sans-serif') are given in CSS pixels and are
+ * converted to the chosen space, so strokes and text keep a constant size on
+ * screen regardless of zoom. options.worldOffset shifts content by that many
+ * world units, onto another copy of the world (see getWorldCopies).
+ * @param {!CanvasRenderingContext2D} context The context to transform.
+ * @param {CanvasLayer.MapTransformOptions=} opt_options
+ * @return {number} The size of one CSS pixel in the chosen space, or NaN if
+ *     the layer is not on a map (in which case context is not modified).
+ */
+CanvasLayer.prototype.applyMapTransform = function(context, opt_options) {
+  if (!this.topLeftWorld_) {
+    return NaN;
+  }
+
+  var options = opt_options || {};
+  var space = options.space || 'world';
+  var scale = this.getPixelsPerWorldUnit();
+  var worldOffset = options.worldOffset || 0;
+  var offsetX = (worldOffset - this.topLeftWorld_.x) * scale;
+  var offsetY = -this.topLeftWorld_.y * scale;
+
+  var unitScale;
+  if (space === 'world') {
+    unitScale = 1;
+    context.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+  } else if (space === 'latlng-mercator') {
+    // longitude and Mercator degrees map linearly onto the world, centered
+    unitScale = CanvasLayer.WORLD_SIZE_ / 360;
+    var half = CanvasLayer.WORLD_SIZE_ / 2;
+    context.setTransform(scale * unitScale, 0, 0, -scale * unitScale,
+        offsetX + half * scale, offsetY + half * scale);
+  } else {
+    throw new Error('"' + space + '" is not a valid map transform space.');
+  }
+
+  var cssPixelSize = this.resolutionScale_ / (scale * unitScale);
+
+  if (options.lineWidth !== undefined) {
+    context.lineWidth = options.lineWidth * cssPixelSize;
+  }
+
+  if (options.font !== undefined) {
+    context.font = options.font.replace(/(\d*\.?\d+)px/,
+        function(match, size) {
+          return (parseFloat(size) * cssPixelSize) + 'px';
+        });
+  }
+
+  return cssPixelSize;
+};
+
+/**
+ * Options for CanvasLayer.prototype.applyMapTransform.
+ * @typedef {{
+ *   space: (string|undefined),
+ *   lineWidth: (number|undefined),
+ *   font: (string|undefined),
+ *   worldOffset: (number|undefined)
+ * }}
+ */
+CanvasLayer.MapTransformOptions;
+
+/**
+ * Converts a latitude to its Mercator ordinate, in degrees. Together with
+ * longitude, this forms the 'latlng-mercator' space of applyMapTransform.
+ * @param {number} lat The latitude, in degrees.
+ * @return {number} The Mercator ordinate, in degrees.
+ */
+CanvasLayer.latToMercatorY = function(lat) {
+  // clamp as the Maps API does, to keep the poles finite
+  var sinLat = Math.sin(lat * Math.PI / 180);
+  sinLat = Math.min(Math.max(sinLat, -0.9999), 0.9999);
+  return 90 / Math.PI * Math.log((1 + sinLat) / (1 - sinLat));
+};
+
+/**
+ * Options for exportImage.
+ * <ul>
+ *   <li>bounds: the area to export. Defaults to the map's current bounds.
+ *   <li>zoom: the zoom level the content is drawn for, which sets the size of
+ *       features relative to the bounds. Defaults to the map's zoom.
+ *   <li>width, height: the size of the image, in pixels. If only one is
+ *       given, the other follows the aspect ratio of the bounds. If both are
+ *       given, the bounds are centered in the image and extended to fill it.
+ *       If neither, the bounds are drawn at the layer's resolution scale.
+ *   <li>format: the image MIME type. Defaults to 'image/png'.
+ * </ul>
+ * @typedef {{
+ *   bounds: (google.maps.LatLngBounds|undefined),
+ *   zoom: (number|undefined),
+ *   width: (number|undefined),
+ *   height: (number|undefined),
+ *   format: (string|undefined)
+ * }}
+ */
+CanvasLayer.ExportImageOptions;
+
+/**
+ * Renders the layer for an arbitrary area and resolution and returns it as an
+ * image. The resize and update handlers are called with the view of the
+ * export (along with getMapMatrix and the other view methods) in place of
+ * the map's, so the image can be larger or more detailed than the screen.
+ * Images larger than the largest drawable canvas are rendered in tiles, one
+ * pair of handler calls each. The canvas is redrawn for the map before this
+ * returns, so the export is never seen. The layer must be on a map and not
+ * rendering in a worker.
+ * @param {CanvasLayer.ExportImageOptions=} opt_options
+ * @return {!Promise<!Blob>} The image.
+ */
+CanvasLayer.prototype.exportImage = function(opt_options) {
+  var options = opt_options || {};
+  var layer = this;
+
+  return new Promise(function(resolve, reject) {
+    var image = layer.renderImage_(options);
+    image.toBlob(function(blob) {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The image could not be encoded.'));
+      }
+    }, options.format || 'image/png');
+  });
+};
+
+/**
+ * Renders the image for exportImage into a new canvas, then restores the
+ * layer's view and redraws it.
+ * @param {!CanvasLayer.ExportImageOptions} options
+ * @return {!HTMLCanvasElement}
  * @private
  */
-CanvasLayer.prototype.update_ = function() {
-  this.requestAnimationFrameId_ = null;
+CanvasLayer.prototype.renderImage_ = function(options) {
+  if (!this.isAdded_ || !this.topLeftWorld_) {
+    throw new Error('CanvasLayer must be on a map to export an image.');
+  }
+  if (this.worker_) {
+    throw new Error('CanvasLayer can\'t export an image while rendering in ' +
+        'a worker.');
+  }
+  if (this.contextLost_) {
+    throw new Error('CanvasLayer can\'t export an image while its context ' +
+        'is lost.');
+  }
 
-  if (!this.isAdded_) {
-    return;
+  var map = this.getMap();
+  var projection = map.getProjection();
+  var bounds = options.bounds || map.getBounds();
+  var zoom = options.zoom === undefined ? map.getZoom() : options.zoom;
+
+  // unwrap the east edge if the bounds cross the antimeridian
+  var sw = projection.fromLatLngToPoint(bounds.getSouthWest());
+  var ne = projection.fromLatLngToPoint(bounds.getNorthEast());
+  var eastX = ne.x < sw.x ? ne.x + CanvasLayer.WORLD_SIZE_ : ne.x;
+  var cssWidth = (eastX - sw.x) * Math.pow(2, zoom);
+  var cssHeight = (sw.y - ne.y) * Math.pow(2, zoom);
+
+  var width = options.width;
+  var height = options.height;
+  var resolutionScale;
+  if (width && height) {
+    resolutionScale = Math.min(width / cssWidth, height / cssHeight);
+  } else if (width) {
+    resolutionScale = width / cssWidth;
+  } else if (height) {
+    resolutionScale = height / cssHeight;
+  } else {
+    resolutionScale = this.requestedResolutionScale_;
+  }
+  width = width || Math.round(cssWidth * resolutionScale);
+  height = height || Math.round(cssHeight * resolutionScale);
+
+  // center the bounds in the image, on the backing-store pixel grid
+  var scale = Math.pow(2, zoom) * resolutionScale;
+  var left = Math.floor(((sw.x + eastX) / 2) * scale - width / 2) / scale;
+  var top = Math.floor(((sw.y + ne.y) / 2) * scale - height / 2) / scale;
+
+  var image = document.createElement('canvas');
+  image.width = width;
+  image.height = height;
+  var context = image.getContext('2d');
+
+  var saved = {
+    topLeft: this.topLeft_,
+    topLeftWorld: this.topLeftWorld_,
+    zoom: this.zoom_,
+    resolutionScale: this.resolutionScale_,
+    width: this.canvasWidth_,
+    height: this.canvasHeight_,
+    cssWidth: this.canvasCssWidth_,
+    cssHeight: this.canvasCssHeight_
+  };
+
+  var maxSize = this.getMaxCanvasSize_();
+  var tileWidth = Math.min(width, maxSize.width);
+  var tileHeight = Math.min(height, maxSize.height);
+
+  try {
+    this.zoom_ = zoom;
+    this.resolutionScale_ = resolutionScale;
+
+    for (var y = 0; y < height; y += tileHeight) {
+      for (var x = 0; x < width; x += tileWidth) {
+        this.canvasWidth_ = this.canvas.width = Math.min(tileWidth, width - x);
+        this.canvasHeight_ = this.canvas.height =
+            Math.min(tileHeight, height - y);
+        this.canvasCssWidth_ = this.canvasWidth_ / resolutionScale;
+        this.canvasCssHeight_ = this.canvasHeight_ / resolutionScale;
+        this.topLeftWorld_ = new google.maps.Point(left + x / scale,
+            top + y / scale);
+        this.topLeft_ = new google.maps.LatLng(
+            projection.fromPointToLatLng(this.topLeftWorld_).lat(),
+            bounds.getSouthWest().lng() +
+            (this.topLeftWorld_.x - sw.x) * 360 / CanvasLayer.WORLD_SIZE_);
+        this.updateMapMatrix_();
+
+        var frame = this.createExportFrameContext_();
+        if (this.resizeHandler_) {
+          this.resizeHandler_(frame);
+        }
+        if (this.updateHandler_) {
+          this.updateHandler_(frame);
+        }
+
+        // copy now, while a WebGL drawing buffer is still intact
+        context.drawImage(this.canvas, x, y);
+      }
+    }
+  } finally {
+    this.topLeft_ = saved.topLeft;
+    this.topLeftWorld_ = saved.topLeftWorld;
+    this.zoom_ = saved.zoom;
+    this.resolutionScale_ = saved.resolutionScale;
+    this.canvasWidth_ = this.canvas.width = saved.width;
+    this.canvasHeight_ = this.canvas.height = saved.height;
+    this.canvasCssWidth_ = saved.cssWidth;
+    this.canvasCssHeight_ = saved.cssHeight;
+    this.updateMapMatrix_();
+
+    // resizing cleared the canvas, so redraw it before it's next displayed
+    // (or, if hidden or recording frames, when updates normally resume)
+    this.renderedView_ = null;
+    this.needsResize_ = true;
+    this.requestUpdate_('resize');
   }
 
-  if (this.isAnimated_) {
-    this.scheduleUpdate();
+  return image;
+};
+
+/**
+ * Creates the frame context for a tile of exportImage, without advancing the
+ * frame counters of the layer's own updates.
+ * @return {!CanvasLayer.FrameContext}
+ * @private
+ */
+CanvasLayer.prototype.createExportFrameContext_ = function() {
+  var reasons = CanvasLayer.createUpdateReasons_();
+  reasons.pan = reasons.zoom = reasons.resize = true;
+
+  return {
+    timestamp: CanvasLayer.now_(),
+    delta: 0,
+    frameNumber: this.frameNumber_,
+    reasons: reasons,
+    topLeft: this.topLeft_,
+    topLeftWorld: this.topLeftWorld_,
+    zoom: this.zoom_,
+    scale: this.getPixelsPerWorldUnit(),
+    resolutionScale: this.resolutionScale_,
+    width: this.canvasWidth_,
+    height: this.canvasHeight_,
+    cssWidth: this.canvasCssWidth_,
+    cssHeight: this.canvasCssHeight_,
+    time: this.clock_ ? this.clock_.getTime() : null
+  };
+};
+
+/**
+ * The default frame rate of a recording.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayer.DEFAULT_RECORDING_FPS_ = 30;
+
+/**
+ * Options for startRecording.
+ * <ul>
+ *   <li>mode: 'stream' (the default) records the canvas as it is drawn with
+ *       canvas.captureStream and MediaRecorder, producing a video. 'frames'
+ *       instead steps the layer through updates on a virtual clock, as fast
+ *       as they can be drawn, and collects each frame as an image, for
+ *       offline encoding. Every frame is captured, however slow the handlers.
+ *       A playing CanvasLayerClock attached to the layer (see setClock) is
+ *       paused and stepped along with the frames, by its rate times the
+ *       frame interval, then played again when the recording stops.
+ *   <li>fps: the frame rate. Default is 30.
+ *   <li>duration: the length of the recording, in milliseconds, after which
+ *       it stops itself. For 'frames', this is virtual time, so sets the
+ *       number of frames. Without one, recording runs until stopRecording.
+ *   <li>mimeType: the video type for 'stream', default 'video/webm', or the
+ *       image type for 'frames', default 'image/png'.
+ * </ul>
+ * @typedef {{
+ *   mode: (string|undefined),
+ *   fps: (number|undefined),
+ *   duration: (number|undefined),
+ *   mimeType: (string|undefined)
+ * }}
+ */
+CanvasLayer.RecordingOptions;
+
+/**
+ * Starts recording the layer. The returned promise resolves when the
+ * recording stops, either after its duration or on a call to stopRecording,
+ * with a video Blob ('stream' mode) or an array of image Blobs, one per frame
+ * ('frames' mode). A 'frames' recording takes over scheduling of updates
+ * until it stops, passing the handlers timestamps from its virtual clock, and
+ * isn't available when rendering in a worker. Only one recording can run at
+ * a time, and the layer must be on a map. It is stopped if the layer is
+ * removed.
+ * @param {CanvasLayer.RecordingOptions=} opt_options
+ * @return {!Promise<!Blob|!Array<!Blob>>}
+ */
+CanvasLayer.prototype.startRecording = function(opt_options) {
+  var options = opt_options || {};
+  var layer = this;
+
+  return new Promise(function(resolve, reject) {
+    if (layer.recording_) {
+      throw new Error('CanvasLayer is already recording.');
+    }
+    if (!layer.isAdded_) {
+      throw new Error('CanvasLayer must be on a map to record.');
+    }
+
+    var recording = {
+      mode: options.mode || 'stream',
+      fps: options.fps || CanvasLayer.DEFAULT_RECORDING_FPS_,
+      duration: options.duration || 0,
+      mimeType: options.mimeType,
+      resolve: resolve,
+      reject: reject,
+      timeoutId: null,
+      stop: null
+    };
+
+    if (recording.mode === 'stream') {
+      layer.startStreamRecording_(recording);
+    } else if (recording.mode === 'frames') {
+      layer.startFrameRecording_(recording);
+    } else {
+      throw new Error('"' + recording.mode + '" is not a valid recording ' +
+          'mode.');
+    }
+    layer.recording_ = recording;
+  });
+};
+
+/**
+ * Stops the recording in progress, if any. The promise returned by
+ * startRecording resolves once the recording has been assembled.
+ */
+CanvasLayer.prototype.stopRecording = function() {
+  var recording = this.recording_;
+  if (!recording) {
+    return;
   }
 
-  if (this.needsResize_ && this.resizeHandler_) {
-    this.needsResize_ = false;
-    this.resizeHandler_();
+  this.recording_ = null;
+  window.clearTimeout(recording.timeoutId);
+  recording.stop();
+};
+
+/**
+ * @return {boolean} Whether the layer is being recorded.
+ */
+CanvasLayer.prototype.isRecording = function() {
+  return !!this.recording_;
+};
+
+/**
+ * @return {boolean} Whether a 'frames' recording is stepping the updates.
+ * @private
+ */
+CanvasLayer.prototype.isRecordingFrames_ = function() {
+  return !!this.recording_ && this.recording_.mode === 'frames';
+};
+
+/**
+ * Starts a 'stream' recording with MediaRecorder.
+ * @param {!Object} recording The state of the new recording.
+ * @private
+ */
+CanvasLayer.prototype.startStreamRecording_ = function(recording) {
+  if (!this.canvas.captureStream || typeof MediaRecorder === 'undefined') {
+    throw new Error('Recording video is not supported in this browser.');
   }
 
-  if (this.updateHandler_) {
-    this.updateHandler_();
+  var mimeType = recording.mimeType || 'video/webm';
+  var stream = this.canvas.captureStream(recording.fps);
+  var recorder = new MediaRecorder(stream, {mimeType: mimeType});
+  var chunks = [];
+
+  recorder.addEventListener('dataavailable', function(event) {
+    if (event.data.size) {
+      chunks.push(event.data);
+    }
+  }, false);
+  recorder.addEventListener('stop', function() {
+    stream.getTracks().forEach(function(track) {
+      track.stop();
+    });
+    recording.resolve(new Blob(chunks, {type: mimeType}));
+  }, false);
+
+  recording.stop = function() {
+    recorder.stop();
+  };
+
+  recorder.start();
+  if (recording.duration) {
+    recording.timeoutId = window.setTimeout(
+        this.stopRecording.bind(this), recording.duration);
   }
 };
 
 /**
- * A convenience method to get the current LatLng coordinate of the top left of
- * the current view of the map.
- * @return {google.maps.LatLng} The top left coordinate.
+ * Starts a 'frames' recording. Each frame is drawn in its own task so the
+ * page stays responsive.
+ * @param {!Object} recording The state of the new recording.
+ * @private
  */
-CanvasLayer.prototype.getTopLeft = function() {
-  return this.topLeft_;
+CanvasLayer.prototype.startFrameRecording_ = function(recording) {
+  if (this.worker_) {
+    throw new Error('CanvasLayer can\'t record frames while rendering in a ' +
+        'worker.');
+  }
+
+  var layer = this;
+  var frames = [];
+  var frameCount = recording.duration ?
+      Math.round(recording.duration * recording.fps / 1000) : Infinity;
+
+  // the virtual clock picks up from the last frame drawn
+  var timestamp = this.lastFrameTimestamp_ === null ? CanvasLayer.now_() :
+      this.lastFrameTimestamp_;
+
+  // A playing clock would otherwise keep advancing in real time, however
+  // long each frame takes to draw, so it's stepped with the frames instead.
+  // Clocks are shared, so this also holds the other layers it drives.
+  var clock = this.clock_ && this.clock_.isPlaying() ? this.clock_ : null;
+  if (clock) {
+    clock.pause();
+  }
+
+  function recordFrame() {
+    if (frames.length >= frameCount) {
+      layer.stopRecording();
+      return;
+    }
+
+    timestamp += 1000 / recording.fps;
+    if (clock) {
+      var time = clock.getTime() + clock.getRate() * 1000 / recording.fps;
+      clock.seek(time);
+      // like a playing clock, stop at a bound it doesn't loop around
+      if (clock.getTime() !== time && !clock.isLooping()) {
+        clock = null;
+      }
+    }
+    layer.pendingReasons_.animate = true;
+    layer.update_(timestamp);
+
+    // toBlob copies the canvas immediately, while a WebGL drawing buffer is
+    // still intact
+    var canvas = layer.canvas;
+    frames.push(new Promise(function(resolve) {
+      canvas.toBlob(resolve, recording.mimeType || 'image/png');
+    }));
+
+    recording.timeoutId = window.setTimeout(recordFrame, 0);
+  }
+
+  recording.stop = function() {
+    Promise.all(frames).then(recording.resolve, recording.reject);
+
+    // return to the real clock, and catch up on anything that changed
+    layer.lastFrameTimestamp_ = null;
+    if (clock) {
+      clock.play();
+    }
+    layer.requestUpdate_('explicit');
+  };
+
+  if (this.requestAnimationFrameId_) {
+    this.cancelAnimFrame_.call(window, this.requestAnimationFrameId_);
+    this.requestAnimationFrameId_ = null;
+  }
+  recording.timeoutId = window.setTimeout(recordFrame, 0);
 };
 
 /**
@@ -539,8 +3664,33 @@ CanvasLayer.prototype.getTopLeft = function() {
  * already scheduled, there is no effect.
  */
 CanvasLayer.prototype.scheduleUpdate = function() {
-  if (this.isAdded_ && !this.requestAnimationFrameId_) {
+  this.requestUpdate_('explicit');
+};
+
+/**
+ * Schedules an update, if one isn't already scheduled, and records why it is
+ * needed.
+ * @param {string} reason A key of CanvasLayer.UpdateReasons.
+ * @private
+ */
+CanvasLayer.prototype.requestUpdate_ = function(reason) {
+  if (!this.isAdded_) {
+    return;
+  }
+
+  this.pendingReasons_[reason] = true;
+
+  // a hidden layer catches up when it's shown, one without a context when
+  // it's restored, and a frame recording steps through updates itself
+  if (!this.visible_ || this.contextLost_ || this.isRecordingFrames_()) {
+    return;
+  }
+
+  if (!this.requestAnimationFrameId_) {
     this.requestAnimationFrameId_ =
         this.requestAnimFrame_.call(window, this.requestUpdateFunction_);
   }
 };
+
+return CanvasLayer;
+}));
@@ -0,0 +1,27 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview ES module entry point for CanvasLayer. The implementation
+ * lives in CanvasLayer.js, which is also usable as a CommonJS/AMD module or a
+ * plain script. This imports it as a CommonJS module, so it needs a bundler
+ * or Node; browsers can't load it as a native ES module.
+ */
+
+import CanvasLayer from './CanvasLayer.js';
+
+export default CanvasLayer;
+export {CanvasLayer};
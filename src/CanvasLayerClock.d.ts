@@ -0,0 +1,105 @@
+/// <reference path="CanvasLayer.d.ts" />
+
+declare namespace CanvasLayerClock{
+    /**
+     * Options for a CanvasLayerClock.
+     */
+    export interface Options{
+        /** The starting time, in milliseconds. Default is Date.now(). */
+        time?:number;
+        /** Clock milliseconds per real millisecond. Default is 1. */
+        rate?:number;
+        /** The earliest time. Default is unbounded. */
+        min?:number|null;
+        /** The latest time. Default is unbounded. */
+        max?:number|null;
+        /** Whether to wrap around on reaching a bound. Default is false. */
+        loop?:boolean;
+        /** Whether to start playing immediately. Default is false. */
+        playing?:boolean;
+    }
+}
+
+/**
+ * A clock for time-based layer content, with play and pause, a playback rate,
+ * seeking, optional bounds and looping. Time is in milliseconds, on the same
+ * scale as Date.now(). Attach it to any number of layers with
+ * CanvasLayer.prototype.setClock; each advance of the clock schedules an
+ * update of every attached layer, and all of them read the same time from
+ * their CanvasLayer.FrameContext. The clock advances once per animation frame
+ * while playing.
+ */
+declare class CanvasLayerClock {
+    constructor(options?:CanvasLayerClock.Options);
+
+    /**
+     * Adds a listener for one of this clock's events: 'tick' (the clock
+     * advanced while playing), 'timechange' (the time jumped, by a seek, a change
+     * of bounds or looping around), 'play', 'pause' and 'ratechange'.
+     */
+    addListener(eventName:string, handler:Function):google.maps.MapsEventListener;
+
+    /**
+     * Starts the clock. Playing from a bound that it would immediately pass again
+     * without looping restarts from the other bound.
+     */
+    play():void;
+
+    /**
+     * Stops the clock at its current time.
+     */
+    pause():void;
+
+    /**
+     * @return {boolean} Whether the clock is playing.
+     */
+    isPlaying():boolean;
+
+    /**
+     * Sets the time, keeping it within the bounds.
+     */
+    seek(time:number):void;
+
+    /**
+     * Returns the current time. This is updated once per animation frame, so all
+     * layers drawn in a frame see the same time.
+     */
+    getTime():number;
+
+    /**
+     * Sets the playback rate, in clock milliseconds per real millisecond, e.g.
+     * 3600 to play an hour per second. A negative rate plays backwards.
+     */
+    setRate(rate:number):void;
+
+    /**
+     * @return {number} The playback rate.
+     */
+    getRate():number;
+
+    /**
+     * Sets the range the time is kept within. Either bound may be null to leave
+     * that side unbounded. The current time is moved within the new bounds.
+     */
+    setBounds(min?:number|null, max?:number|null):void;
+
+    /**
+     * @return The bounds of the time.
+     */
+    getBounds():{min:number|null, max:number|null};
+
+    /**
+     * Sets whether the clock wraps around on reaching a bound, rather than
+     * pausing there. Looping only applies when both bounds are set.
+     */
+    setLoop(loop:boolean):void;
+
+    /**
+     * @return {boolean} Whether the clock loops.
+     */
+    isLooping():boolean;
+}
+
+declare module 'canvaslayer/src/CanvasLayerClock.js' {
+    export = CanvasLayerClock;
+}
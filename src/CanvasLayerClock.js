@@ -0,0 +1,347 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A playable clock that can be shared by CanvasLayers to keep
+ * time-based content synchronized.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CanvasLayerClock = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+
+/**
+ * A clock for time-based layer content, with play and pause, a playback rate,
+ * seeking, optional bounds and looping. Time is in milliseconds, on the same
+ * scale as Date.now(). Attach it to any number of layers with
+ * CanvasLayer.prototype.setClock; each advance of the clock schedules an
+ * update of every attached layer, and all of them read the same time from
+ * their CanvasLayer.FrameContext. The clock advances once per animation frame
+ * while playing.
+ * @constructor
+ * @param {CanvasLayerClock.Options=} opt_options
+ */
+function CanvasLayerClock(opt_options) {
+  /**
+   * The current time, as of the last tick.
+   * @private {number}
+   */
+  this.time_ = Date.now();
+
+  /**
+   * Clock milliseconds per real millisecond. May be negative to run backwards.
+   * @private {number}
+   */
+  this.rate_ = 1;
+
+  /**
+   * The earliest time, or null if unbounded.
+   * @private {?number}
+   */
+  this.min_ = null;
+
+  /**
+   * The latest time, or null if unbounded.
+   * @private {?number}
+   */
+  this.max_ = null;
+
+  /**
+   * If true, the clock wraps around on reaching a bound. If false, it pauses.
+   * @private {boolean}
+   */
+  this.loop_ = false;
+
+  /**
+   * @private {boolean}
+   */
+  this.isPlaying_ = false;
+
+  /**
+   * The timestamp of the previous tick, or null if none since playing began.
+   * @private {?number}
+   */
+  this.lastTimestamp_ = null;
+
+  /**
+   * The id of the pending animation frame, if any.
+   * @private {?number}
+   */
+  this.requestAnimationFrameId_ = null;
+
+  /**
+   * The tick callback, bound to this clock.
+   * @private {function(number)}
+   */
+  this.tickFunction_ = this.tick_.bind(this);
+
+  if (opt_options) {
+    if (opt_options.min !== undefined || opt_options.max !== undefined) {
+      this.setBounds(opt_options.min, opt_options.max);
+    }
+    if (opt_options.loop !== undefined) {
+      this.setLoop(opt_options.loop);
+    }
+    if (opt_options.rate !== undefined) {
+      this.setRate(opt_options.rate);
+    }
+    if (opt_options.time !== undefined) {
+      this.seek(opt_options.time);
+    }
+    if (opt_options.playing) {
+      this.play();
+    }
+  }
+}
+
+/**
+ * Options for a CanvasLayerClock.
+ * <ul>
+ *   <li>time: the starting time, in milliseconds. Default is Date.now().
+ *   <li>rate: clock milliseconds per real millisecond. Default is 1.
+ *   <li>min, max: the bounds of the time. Default is unbounded.
+ *   <li>loop: whether to wrap around on reaching a bound. Default is false.
+ *   <li>playing: whether to start playing immediately. Default is false.
+ * </ul>
+ * @typedef {{
+ *   time: (number|undefined),
+ *   rate: (number|undefined),
+ *   min: (?number|undefined),
+ *   max: (?number|undefined),
+ *   loop: (boolean|undefined),
+ *   playing: (boolean|undefined)
+ * }}
+ */
+CanvasLayerClock.Options;
+
+/**
+ * Adds a listener for one of this clock's events, which are dispatched
+ * through google.maps.event:
+ * <ul>
+ *   <li>'tick': the clock advanced while playing. The listener is passed the
+ *       new time.
+ *   <li>'timechange': the time jumped, by a seek, a change of bounds or
+ *       looping around. The listener is passed the new time.
+ *   <li>'play', 'pause': the clock started or stopped playing, including on
+ *       reaching a bound without looping.
+ *   <li>'ratechange': the playback rate changed. The listener is passed the
+ *       new rate.
+ * </ul>
+ * @param {string} eventName The name of the event.
+ * @param {!Function} handler The listener.
+ * @return {!google.maps.MapsEventListener} A handle that can be passed to
+ *     google.maps.event.removeListener, or removed with its remove method.
+ */
+CanvasLayerClock.prototype.addListener = function(eventName, handler) {
+  return google.maps.event.addListener(this, eventName, handler);
+};
+
+/**
+ * Starts the clock. Playing from a bound that it would immediately pass again
+ * without looping restarts from the other bound.
+ */
+CanvasLayerClock.prototype.play = function() {
+  if (this.isPlaying_) {
+    return;
+  }
+
+  if (!this.loop_) {
+    if (this.rate_ > 0 && this.time_ === this.max_ && this.min_ !== null) {
+      this.seek(this.min_);
+    } else if (this.rate_ < 0 && this.time_ === this.min_ &&
+        this.max_ !== null) {
+      this.seek(this.max_);
+    }
+  }
+
+  this.isPlaying_ = true;
+  this.lastTimestamp_ = null;
+  this.requestAnimationFrameId_ =
+      window.requestAnimationFrame(this.tickFunction_);
+  google.maps.event.trigger(this, 'play');
+};
+
+/**
+ * Stops the clock at its current time.
+ */
+CanvasLayerClock.prototype.pause = function() {
+  if (!this.isPlaying_) {
+    return;
+  }
+
+  this.isPlaying_ = false;
+  if (this.requestAnimationFrameId_) {
+    window.cancelAnimationFrame(this.requestAnimationFrameId_);
+    this.requestAnimationFrameId_ = null;
+  }
+  google.maps.event.trigger(this, 'pause');
+};
+
+/**
+ * @return {boolean} Whether the clock is playing.
+ */
+CanvasLayerClock.prototype.isPlaying = function() {
+  return this.isPlaying_;
+};
+
+/**
+ * Sets the time, keeping it within the bounds.
+ * @param {number} time The time, in milliseconds.
+ */
+CanvasLayerClock.prototype.seek = function(time) {
+  this.time_ = this.constrain_(time);
+  google.maps.event.trigger(this, 'timechange', this.time_);
+};
+
+/**
+ * Returns the current time. This is updated once per animation frame, so all
+ * layers drawn in a frame see the same time.
+ * @return {number} The time, in milliseconds.
+ */
+CanvasLayerClock.prototype.getTime = function() {
+  return this.time_;
+};
+
+/**
+ * Sets the playback rate, in clock milliseconds per real millisecond, e.g.
+ * 3600 to play an hour per second. A negative rate plays backwards.
+ * @param {number} rate
+ */
+CanvasLayerClock.prototype.setRate = function(rate) {
+  if (rate === this.rate_) {
+    return;
+  }
+
+  this.rate_ = rate;
+  google.maps.event.trigger(this, 'ratechange', rate);
+};
+
+/**
+ * @return {number} The playback rate.
+ */
+CanvasLayerClock.prototype.getRate = function() {
+  return this.rate_;
+};
+
+/**
+ * Sets the range the time is kept within. Either bound may be null to leave
+ * that side unbounded. The current time is moved within the new bounds.
+ * @param {?number=} opt_min The earliest time, in milliseconds.
+ * @param {?number=} opt_max The latest time, in milliseconds.
+ */
+CanvasLayerClock.prototype.setBounds = function(opt_min, opt_max) {
+  var min = typeof opt_min === 'number' ? opt_min : null;
+  var max = typeof opt_max === 'number' ? opt_max : null;
+  if (min !== null && max !== null && min > max) {
+    throw new Error('Clock bounds must not end before they start.');
+  }
+
+  this.min_ = min;
+  this.max_ = max;
+  if (this.constrain_(this.time_) !== this.time_) {
+    this.seek(this.time_);
+  }
+};
+
+/**
+ * @return {{min: ?number, max: ?number}} The bounds of the time.
+ */
+CanvasLayerClock.prototype.getBounds = function() {
+  return {min: this.min_, max: this.max_};
+};
+
+/**
+ * Sets whether the clock wraps around on reaching a bound, rather than
+ * pausing there. Looping only applies when both bounds are set.
+ * @param {boolean} loop
+ */
+CanvasLayerClock.prototype.setLoop = function(loop) {
+  this.loop_ = !!loop;
+};
+
+/**
+ * @return {boolean} Whether the clock loops.
+ */
+CanvasLayerClock.prototype.isLooping = function() {
+  return this.loop_;
+};
+
+/**
+ * Returns time moved within the bounds: wrapped around if looping, otherwise
+ * clamped.
+ * @param {number} time
+ * @return {number}
+ * @private
+ */
+CanvasLayerClock.prototype.constrain_ = function(time) {
+  var min = this.min_;
+  var max = this.max_;
+  if (this.loop_ && min !== null && max !== null && max > min) {
+    if (time >= min && time < max) {
+      return time;
+    }
+    var range = max - min;
+    return min + ((time - min) % range + range) % range;
+  }
+
+  if (min !== null && time < min) {
+    return min;
+  }
+  if (max !== null && time > max) {
+    return max;
+  }
+  return time;
+};
+
+/**
+ * Advances the clock for an animation frame.
+ * @param {number} timestamp The requestAnimationFrame timestamp.
+ * @private
+ */
+CanvasLayerClock.prototype.tick_ = function(timestamp) {
+  this.requestAnimationFrameId_ =
+      window.requestAnimationFrame(this.tickFunction_);
+
+  var lastTimestamp = this.lastTimestamp_;
+  this.lastTimestamp_ = timestamp;
+  if (lastTimestamp === null) {
+    return;
+  }
+
+  var time = this.time_ + (timestamp - lastTimestamp) * this.rate_;
+  var constrained = this.constrain_(time);
+  this.time_ = constrained;
+
+  if (constrained === time) {
+    google.maps.event.trigger(this, 'tick', time);
+  } else if (this.loop_) {
+    google.maps.event.trigger(this, 'timechange', constrained);
+  } else {
+    // stop at the bound, after layers have been told to draw it
+    google.maps.event.trigger(this, 'tick', constrained);
+    this.pause();
+  }
+};
+
+return CanvasLayerClock;
+
+}));
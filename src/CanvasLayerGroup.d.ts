@@ -0,0 +1,194 @@
+/// <reference path="CanvasLayer.d.ts" />
+/// <reference path="CanvasLayerResources.d.ts" />
+
+declare namespace CanvasLayerGroup{
+    /**
+     * Options for a CanvasLayerGroup, in addition to those of its CanvasLayer
+     * (except the handlers, which the group sets itself). Members should listen
+     * for 'contextrestored' on the group's canvasLayer to recreate their
+     * resources after a context loss.
+     */
+    export interface Options extends CanvasLayer.Options{
+        /**
+         * The type of the shared context, '2d', 'webgl' (the default) or
+         * 'webgl2'.
+         */
+        contextType?:string;
+    }
+
+    /**
+     * Options for a member of a group.
+     */
+    export interface MemberOptions{
+        /**
+         * Draws the member. Passed the frame context of the update and the
+         * shared context (or, when the member has its own offscreen canvas, that
+         * canvas's 2d context).
+         */
+        updateHandler?:(frame:CanvasLayer.FrameContext, context:any) => void;
+        /**
+         * Called, with the same arguments, before the update handler when the
+         * canvas has been resized.
+         */
+        resizeHandler?:(frame:CanvasLayer.FrameContext, context:any) => void;
+        /**
+         * Members are drawn from lowest to highest order, and in the order they
+         * were added for equal orders. Default is 0.
+         */
+        order?:number;
+        /**
+         * The opacity of the member, from 0 to 1. Default is 1. An opacity below
+         * 1 requires framebuffer isolation, which is used automatically.
+         */
+        opacity?:number;
+        /** Whether the member is drawn. Default is true. */
+        visible?:boolean;
+        /**
+         * Whether the member is animated; the group updates every frame while
+         * any visible member is. Default is false.
+         */
+        animate?:boolean;
+        /**
+         * 'none' (the default) draws straight to the canvas. 'scissor' limits
+         * drawing to the canvas rectangle of bounds. 'framebuffer' draws to the
+         * member's own framebuffer, which is then composited onto the canvas
+         * with the member's opacity.
+         */
+        isolation?:string;
+        /** The area to limit drawing to with 'scissor' isolation. */
+        bounds?:google.maps.LatLngBounds;
+    }
+
+    /**
+     * A member layer of a CanvasLayerGroup. Create with
+     * CanvasLayerGroup.prototype.addLayer rather than directly.
+     */
+    export class Member {
+        /**
+         * Sets the member's place in the drawing order; lower orders are drawn
+         * first.
+         */
+        setOrder(order:number):void;
+
+        /**
+         * @return {number} The member's place in the drawing order.
+         */
+        getOrder():number;
+
+        /**
+         * Sets the member's opacity, from 0 to 1.
+         */
+        setOpacity(opacity:number):void;
+
+        /**
+         * @return {number} The member's opacity.
+         */
+        getOpacity():number;
+
+        /**
+         * Shows or hides the member.
+         */
+        setVisible(visible:boolean):void;
+
+        /**
+         * @return {boolean} Whether the member is drawn.
+         */
+        isVisible():boolean;
+
+        /**
+         * Sets whether the member is animated.
+         */
+        setAnimate(animate:boolean):void;
+
+        /**
+         * @return {boolean} Whether the member is animated.
+         */
+        isAnimated():boolean;
+
+        /**
+         * Schedules an update of the group, in which this member is redrawn.
+         */
+        scheduleUpdate():void;
+
+        /**
+         * Removes the member from its group.
+         */
+        remove():void;
+    }
+}
+
+/**
+ * Owns one CanvasLayer, and its canvas and context, and draws any number of
+ * member layers into it in a single update. Members are added with addLayer
+ * and are drawn in order, each with its own opacity and optionally isolated
+ * from the others by a scissor rectangle or its own framebuffer (or, for a 2d
+ * context, a clip rectangle or its own offscreen canvas). Browsers limit the
+ * number of live WebGL contexts, so use one group per map in place of a
+ * CanvasLayer per data layer.
+ *
+ * Members share the context, so each update handler must set all the state it
+ * relies on (program, buffers, attributes, blending) in every update rather
+ * than once at startup, and must not clear the canvas; the group clears it
+ * before drawing its members, and clears a member's framebuffer or scissor
+ * rectangle before drawing into it.
+ */
+declare class CanvasLayerGroup {
+    constructor(options?:CanvasLayerGroup.Options);
+
+    /** The layer the members are drawn into. */
+    canvasLayer:CanvasLayer.Layer;
+
+    /** The context shared by the members, passed to their handlers. */
+    context:WebGLRenderingContext|WebGL2RenderingContext|
+        CanvasRenderingContext2D|null;
+
+    /**
+     * The registry of the shared WebGL context's resources, or null for a 2d
+     * group. The group's framebuffers and compositing program are created
+     * through it, and members can create theirs through it too, so that all
+     * are counted by getCounts and released when the group is disposed.
+     */
+    resources:CanvasLayerResources|null;
+
+    /**
+     * Adds a member layer to the group.
+     */
+    addLayer(options?:CanvasLayerGroup.MemberOptions):CanvasLayerGroup.Member;
+
+    /**
+     * Removes a member from the group, releasing its framebuffer, if any.
+     */
+    removeLayer(member:CanvasLayerGroup.Member):void;
+
+    /**
+     * @return The members, in drawing order.
+     */
+    getLayers():CanvasLayerGroup.Member[];
+
+    /**
+     * Adds the group's canvas to a map, or removes it if map is null.
+     */
+    setMap(map:google.maps.Map|null):void;
+
+    /**
+     * @return {google.maps.Map} The map the group is on.
+     */
+    getMap():google.maps.Map|null;
+
+    /**
+     * Schedules an update of the group, redrawing all of its members.
+     */
+    scheduleUpdate():void;
+
+    /**
+     * Disposes of the group's CanvasLayer, removing it from its map and
+     * releasing everything created through the group's resources, including the
+     * members' framebuffers and the compositing program. The group can't be used
+     * afterwards.
+     */
+    dispose():void;
+}
+
+declare module 'canvaslayer/src/CanvasLayerGroup.js' {
+    export = CanvasLayerGroup;
+}
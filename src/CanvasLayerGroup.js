@@ -0,0 +1,826 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A compositor that draws several layers of content into the
+ * single canvas and context of one CanvasLayer, so a map with many layers
+ * doesn't need a WebGL context for each.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./CanvasLayer', './CanvasLayerResources'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./CanvasLayer.js'),
+        require('./CanvasLayerResources.js'));
+  } else {
+    root.CanvasLayerGroup = factory(root.CanvasLayer,
+        root.CanvasLayerResources);
+  }
+}(typeof self !== 'undefined' ? self : this, function(CanvasLayer,
+    CanvasLayerResources) {
+
+/**
+ * Owns one CanvasLayer, and its canvas and context, and draws any number of
+ * member layers into it in a single update. Members are added with addLayer
+ * and are drawn in order, each with its own opacity and optionally isolated
+ * from the others by a scissor rectangle or its own framebuffer (or, for a 2d
+ * context, a clip rectangle or its own offscreen canvas). Browsers limit the
+ * number of live WebGL contexts, so use one group per map in place of a
+ * CanvasLayer per data layer.
+ * <p>
+ * Members share the context, so each update handler must set all the state it
+ * relies on (program, buffers, attributes, blending) in every update rather
+ * than once at startup, and must not clear the canvas; the group clears it
+ * before drawing its members, and clears a member's framebuffer or scissor
+ * rectangle before drawing into it.
+ * @constructor
+ * @param {CanvasLayerGroup.Options=} opt_options Options for the group, and for
+ *     its CanvasLayer (except the handlers, which the group sets itself).
+ */
+function CanvasLayerGroup(opt_options) {
+  var options = opt_options || {};
+  var group = this;
+
+  var layerOptions = {};
+  for (var key in options) {
+    layerOptions[key] = options[key];
+  }
+  layerOptions.contextType = options.contextType || 'webgl';
+  layerOptions.resizeHandler = function(frame) {
+    group.resize_(frame);
+  };
+  layerOptions.updateHandler = function(frame) {
+    group.update_(frame);
+  };
+
+  /**
+   * The layer the members are drawn into.
+   * @type {!CanvasLayer}
+   */
+  this.canvasLayer = new CanvasLayer(layerOptions);
+
+  /**
+   * The context type, '2d', 'webgl' or 'webgl2'.
+   * @private {string}
+   */
+  this.contextType_ = layerOptions.contextType;
+
+  /**
+   * The context shared by the members, passed to their handlers.
+   * @type {WebGLRenderingContext|CanvasRenderingContext2D}
+   */
+  this.context = this.canvasLayer.getContext();
+
+  /**
+   * The registry of the shared WebGL context's resources, or null for a 2d
+   * group. The group's framebuffers and compositing program are created
+   * through it, and members can create theirs through it too, so that all
+   * are counted by getCounts and released when the group is disposed.
+   * @type {CanvasLayerResources}
+   */
+  this.resources = this.contextType_ !== '2d' ?
+      new CanvasLayerResources(this.canvasLayer) : null;
+
+  /**
+   * The members, in the order they were added.
+   * @private {!Array<!CanvasLayerGroup.Member>}
+   */
+  this.members_ = [];
+
+  /**
+   * The members in drawing order, or null if it must be recomputed.
+   * @private {Array<!CanvasLayerGroup.Member>}
+   */
+  this.drawOrder_ = null;
+
+  /**
+   * The program, buffer and attribute location used to composite framebuffers
+   * onto the canvas, created when first needed.
+   * @private {?{program: !CanvasLayerProgram, buffer: WebGLBuffer,
+   *     position: number}}
+   */
+  this.compositor_ = null;
+
+  // a restored context has none of the group's resources (and the registry
+  // has forgotten them), so they're recreated when next needed
+  this.canvasLayer.addListener('contextrestored', function() {
+    group.compositor_ = null;
+    for (var i = 0; i < group.members_.length; i++) {
+      group.members_[i].target_ = null;
+    }
+  });
+}
+
+/**
+ * Options for a CanvasLayerGroup, in addition to those of its CanvasLayer.
+ * <ul>
+ *   <li>contextType: the type of the shared context, '2d', 'webgl' (the
+ *       default) or 'webgl2'.
+ * </ul>
+ * Members should listen for 'contextrestored' on the group's canvasLayer to
+ * recreate their resources after a context loss.
+ * @typedef {{
+ *   contextType: (string|undefined)
+ * }}
+ */
+CanvasLayerGroup.Options;
+
+/**
+ * Options for a member of a group.
+ * <ul>
+ *   <li>updateHandler: draws the member. Passed the CanvasLayer.FrameContext
+ *       of the update and the shared context (or, when the member has its own
+ *       offscreen canvas, that canvas's 2d context).
+ *   <li>resizeHandler: called, with the same arguments, before the update
+ *       handler when the canvas has been resized.
+ *   <li>order: members are drawn from lowest to highest order, and in the
+ *       order they were added for equal orders. Default is 0.
+ *   <li>opacity: the opacity of the member, from 0 to 1. Default is 1. An
+ *       opacity below 1 requires framebuffer isolation, which is used
+ *       automatically.
+ *   <li>visible: whether the member is drawn. Default is true.
+ *   <li>animate: whether the member is animated; the group updates every frame
+ *       while any visible member is. Default is false.
+ *   <li>isolation: 'none' (the default) draws straight to the canvas.
+ *       'scissor' limits drawing to the canvas rectangle of bounds.
+ *       'framebuffer' draws to the member's own framebuffer, which is then
+ *       composited onto the canvas with the member's opacity.
+ *   <li>bounds: the area to limit drawing to with 'scissor' isolation.
+ * </ul>
+ * Members drawn with a framebuffer should write premultiplied colors, e.g.
+ * by blending with gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA).
+ * @typedef {{
+ *   updateHandler: (function(!CanvasLayer.FrameContext, !Object)|undefined),
+ *   resizeHandler: (function(!CanvasLayer.FrameContext, !Object)|undefined),
+ *   order: (number|undefined),
+ *   opacity: (number|undefined),
+ *   visible: (boolean|undefined),
+ *   animate: (boolean|undefined),
+ *   isolation: (string|undefined),
+ *   bounds: (google.maps.LatLngBounds|undefined)
+ * }}
+ */
+CanvasLayerGroup.MemberOptions;
+
+/**
+ * The vertex shader for compositing a framebuffer.
+ * @type {string}
+ * @const
+ * @private
+ */
+CanvasLayerGroup.COMPOSITE_VERTEX_SHADER_ =
+    'attribute vec2 position;\n' +
+    'varying vec2 texCoord;\n' +
+    'void main() {\n' +
+    '  texCoord = position * 0.5 + 0.5;\n' +
+    '  gl_Position = vec4(position, 0., 1.);\n' +
+    '}\n';
+
+/**
+ * The fragment shader for compositing a framebuffer.
+ * @type {string}
+ * @const
+ * @private
+ */
+CanvasLayerGroup.COMPOSITE_FRAGMENT_SHADER_ =
+    'precision mediump float;\n' +
+    'uniform sampler2D texture;\n' +
+    'uniform float opacity;\n' +
+    'varying vec2 texCoord;\n' +
+    'void main() {\n' +
+    '  gl_FragColor = texture2D(texture, texCoord) * opacity;\n' +
+    '}\n';
+
+/**
+ * Adds a member layer to the group.
+ * @param {CanvasLayerGroup.MemberOptions=} opt_options
+ * @return {!CanvasLayerGroup.Member} The new member.
+ */
+CanvasLayerGroup.prototype.addLayer = function(opt_options) {
+  var member = new CanvasLayerGroup.Member(this, opt_options || {});
+  this.members_.push(member);
+  this.drawOrder_ = null;
+  this.refreshAnimate_();
+  this.scheduleUpdate();
+
+  return member;
+};
+
+/**
+ * Removes a member from the group, releasing its framebuffer, if any.
+ * @param {!CanvasLayerGroup.Member} member
+ */
+CanvasLayerGroup.prototype.removeLayer = function(member) {
+  var index = this.members_.indexOf(member);
+  if (index === -1) {
+    return;
+  }
+
+  this.members_.splice(index, 1);
+  this.drawOrder_ = null;
+  member.releaseTarget_();
+  this.refreshAnimate_();
+  this.scheduleUpdate();
+};
+
+/**
+ * @return {!Array<!CanvasLayerGroup.Member>} The members, in drawing order.
+ */
+CanvasLayerGroup.prototype.getLayers = function() {
+  return this.getDrawOrder_().slice();
+};
+
+/**
+ * Adds the group's canvas to a map, or removes it if map is null.
+ * @param {google.maps.Map} map
+ */
+CanvasLayerGroup.prototype.setMap = function(map) {
+  this.canvasLayer.setMap(map);
+};
+
+/**
+ * @return {google.maps.Map} The map the group is on.
+ */
+CanvasLayerGroup.prototype.getMap = function() {
+  return this.canvasLayer.getMap();
+};
+
+/**
+ * Schedules an update of the group, redrawing all of its members.
+ */
+CanvasLayerGroup.prototype.scheduleUpdate = function() {
+  this.canvasLayer.scheduleUpdate();
+};
+
+/**
+ * Disposes of the group's CanvasLayer (see CanvasLayer.prototype.dispose),
+ * removing it from its map and releasing everything created through the
+ * group's resources, including the members' framebuffers and the compositing
+ * program. The group can't be used afterwards.
+ */
+CanvasLayerGroup.prototype.dispose = function() {
+  for (var i = 0; i < this.members_.length; i++) {
+    this.members_[i].releaseTarget_();
+  }
+  this.members_ = [];
+  this.drawOrder_ = null;
+  this.compositor_ = null;
+
+  this.canvasLayer.dispose();
+};
+
+/**
+ * @return {!Array<!CanvasLayerGroup.Member>} The members in drawing order.
+ * @private
+ */
+CanvasLayerGroup.prototype.getDrawOrder_ = function() {
+  if (!this.drawOrder_) {
+    var members = this.members_;
+    // sort by order, then by position in members_ to keep the sort stable
+    this.drawOrder_ = members.slice().sort(function(a, b) {
+      return a.order_ - b.order_ || members.indexOf(a) - members.indexOf(b);
+    });
+  }
+
+  return this.drawOrder_;
+};
+
+/**
+ * Animates the group's layer while any visible member is animated.
+ * @private
+ */
+CanvasLayerGroup.prototype.refreshAnimate_ = function() {
+  var animate = false;
+  for (var i = 0; i < this.members_.length; i++) {
+    var member = this.members_[i];
+    animate = animate || (member.visible_ && member.animate_);
+  }
+
+  if (animate !== this.canvasLayer.isAnimated()) {
+    this.canvasLayer.setAnimate(animate);
+  }
+};
+
+/**
+ * The group layer's resize handler. Calls the members' resize handlers;
+ * framebuffers follow the canvas size when next drawn.
+ * @param {!CanvasLayer.FrameContext} frame
+ * @private
+ */
+CanvasLayerGroup.prototype.resize_ = function(frame) {
+  var members = this.getDrawOrder_();
+  for (var i = 0; i < members.length; i++) {
+    var member = members[i];
+    if (member.resizeHandler_) {
+      member.resizeHandler_(frame, member.getDrawingContext_(frame));
+    }
+  }
+};
+
+/**
+ * The group layer's update handler. Clears the canvas and draws each visible
+ * member in order.
+ * @param {!CanvasLayer.FrameContext} frame
+ * @private
+ */
+CanvasLayerGroup.prototype.update_ = function(frame) {
+  var context = this.context;
+  if (!context) {
+    return;
+  }
+
+  if (this.contextType_ !== '2d') {
+    context.bindFramebuffer(context.FRAMEBUFFER, null);
+    context.disable(context.SCISSOR_TEST);
+    context.viewport(0, 0, frame.width, frame.height);
+    context.clearColor(0, 0, 0, 0);
+    context.clear(context.COLOR_BUFFER_BIT | context.DEPTH_BUFFER_BIT);
+  } else {
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, frame.width, frame.height);
+  }
+
+  var members = this.getDrawOrder_();
+  for (var i = 0; i < members.length; i++) {
+    if (members[i].visible_ && members[i].updateHandler_) {
+      if (this.contextType_ !== '2d') {
+        this.drawMemberGl_(members[i], frame);
+      } else {
+        this.drawMember2d_(members[i], frame);
+      }
+    }
+  }
+};
+
+/**
+ * Draws a member with a WebGL context.
+ * @param {!CanvasLayerGroup.Member} member
+ * @param {!CanvasLayer.FrameContext} frame
+ * @private
+ */
+CanvasLayerGroup.prototype.drawMemberGl_ = function(member, frame) {
+  var gl = this.context;
+  var target = member.usesTarget_() ? member.getTarget_(frame) : null;
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+  gl.viewport(0, 0, frame.width, frame.height);
+
+  var rect = member.isolation_ === 'scissor' ?
+      this.getScissorRect_(member.bounds_, frame) : null;
+  if (rect) {
+    // WebGL's y axis is flipped from the canvas's
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(rect.x, frame.height - rect.y - rect.height, rect.width,
+        rect.height);
+  } else {
+    gl.disable(gl.SCISSOR_TEST);
+  }
+
+  if (target || rect) {
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  }
+
+  member.updateHandler_(frame, gl);
+  gl.disable(gl.SCISSOR_TEST);
+
+  if (target) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.composite_(target.texture, member.opacity_);
+  }
+};
+
+/**
+ * Draws a member with a 2d context.
+ * @param {!CanvasLayerGroup.Member} member
+ * @param {!CanvasLayer.FrameContext} frame
+ * @private
+ */
+CanvasLayerGroup.prototype.drawMember2d_ = function(member, frame) {
+  var context = this.context;
+  var target = member.usesTarget_() ? member.getTarget_(frame) : null;
+  var drawingContext = target ? target.context : context;
+
+  drawingContext.save();
+  drawingContext.setTransform(1, 0, 0, 1, 0, 0);
+  if (target) {
+    drawingContext.clearRect(0, 0, frame.width, frame.height);
+  }
+
+  var rect = member.isolation_ === 'scissor' ?
+      this.getScissorRect_(member.bounds_, frame) : null;
+  if (rect) {
+    drawingContext.beginPath();
+    drawingContext.rect(rect.x, rect.y, rect.width, rect.height);
+    drawingContext.clip();
+  }
+
+  member.updateHandler_(frame, drawingContext);
+  drawingContext.restore();
+
+  if (target) {
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.globalAlpha = member.opacity_;
+    context.drawImage(target.canvas, 0, 0);
+    context.restore();
+  }
+};
+
+/**
+ * Returns the canvas rectangle covered by bounds, clamped to the canvas, or
+ * null if there are no bounds.
+ * @param {google.maps.LatLngBounds} bounds
+ * @param {!CanvasLayer.FrameContext} frame
+ * @return {?{x: number, y: number, width: number, height: number}}
+ * @private
+ */
+CanvasLayerGroup.prototype.getScissorRect_ = function(bounds, frame) {
+  if (!bounds) {
+    return null;
+  }
+
+  var layer = this.canvasLayer;
+  var sw = layer.latLngToCanvasPixel(bounds.getSouthWest());
+  var ne = layer.latLngToCanvasPixel(bounds.getNorthEast());
+  if (!sw || !ne) {
+    return null;
+  }
+
+  // bounds crossing the antimeridian have an east edge west of their west
+  // edge, so measure the width eastward from the west edge instead
+  var west = bounds.getSouthWest().lng();
+  var span = bounds.getNorthEast().lng() - west;
+  if (span < 0) {
+    span += 360;
+  }
+  var eastX = sw.x + span / 360 * 256 * layer.getPixelsPerWorldUnit();
+
+  var left = Math.max(0, Math.floor(sw.x));
+  var top = Math.max(0, Math.floor(ne.y));
+  var right = Math.min(frame.width, Math.ceil(eastX));
+  var bottom = Math.min(frame.height, Math.ceil(sw.y));
+
+  return {
+    x: left,
+    y: top,
+    width: Math.max(0, right - left),
+    height: Math.max(0, bottom - top)
+  };
+};
+
+/**
+ * Draws a framebuffer's texture over the whole canvas with an opacity.
+ * @param {WebGLTexture} texture
+ * @param {number} opacity
+ * @private
+ */
+CanvasLayerGroup.prototype.composite_ = function(texture, opacity) {
+  var gl = this.context;
+  var compositor = this.compositor_ || this.createCompositor_();
+
+  compositor.program.use();
+  compositor.program.setUniforms({opacity: opacity, texture: 0});
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.bindBuffer(gl.ARRAY_BUFFER, compositor.buffer);
+  gl.enableVertexAttribArray(compositor.position);
+  gl.vertexAttribPointer(compositor.position, 2, gl.FLOAT, false, 0, 0);
+
+  // the framebuffer holds premultiplied colors. Blending is restored after,
+  // so members drawn later find it as the members before them left it
+  var blend = gl.isEnabled(gl.BLEND);
+  var blendFunc = [
+    gl.getParameter(gl.BLEND_SRC_RGB),
+    gl.getParameter(gl.BLEND_DST_RGB),
+    gl.getParameter(gl.BLEND_SRC_ALPHA),
+    gl.getParameter(gl.BLEND_DST_ALPHA)
+  ];
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+  gl.blendFuncSeparate(blendFunc[0], blendFunc[1], blendFunc[2],
+      blendFunc[3]);
+  if (!blend) {
+    gl.disable(gl.BLEND);
+  }
+
+  // leave no program, attribute or texture bound that a member might not
+  // expect
+  gl.disableVertexAttribArray(compositor.position);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  gl.useProgram(null);
+};
+
+/**
+ * Creates the program and quad used by composite_.
+ * @return {{program: !CanvasLayerProgram, buffer: WebGLBuffer,
+ *     position: number}}
+ * @throws {CanvasLayerProgram.ShaderError} If the program fails to compile or
+ *     link.
+ * @private
+ */
+CanvasLayerGroup.prototype.createCompositor_ = function() {
+  var gl = this.context;
+
+  var program = this.resources.createProgram({
+    vertexSource: CanvasLayerGroup.COMPOSITE_VERTEX_SHADER_,
+    fragmentSource: CanvasLayerGroup.COMPOSITE_FRAGMENT_SHADER_
+  });
+
+  var buffer = this.resources.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+      gl.STATIC_DRAW);
+
+  this.compositor_ = {
+    program: program,
+    buffer: buffer,
+    position: program.getAttribLocation('position')
+  };
+  return this.compositor_;
+};
+
+/**
+ * A member layer of a CanvasLayerGroup. Create with
+ * CanvasLayerGroup.prototype.addLayer rather than directly.
+ * @constructor
+ * @param {!CanvasLayerGroup} group
+ * @param {!CanvasLayerGroup.MemberOptions} options
+ */
+CanvasLayerGroup.Member = function(group, options) {
+  /**
+   * @private {!CanvasLayerGroup}
+   */
+  this.group_ = group;
+
+  /**
+   * @private {?function(!CanvasLayer.FrameContext, !Object)}
+   */
+  this.updateHandler_ = options.updateHandler || null;
+
+  /**
+   * @private {?function(!CanvasLayer.FrameContext, !Object)}
+   */
+  this.resizeHandler_ = options.resizeHandler || null;
+
+  /**
+   * @private {number}
+   */
+  this.order_ = options.order || 0;
+
+  /**
+   * @private {number}
+   */
+  this.opacity_ = options.opacity === undefined ? 1 :
+      Math.min(Math.max(options.opacity, 0), 1);
+
+  /**
+   * @private {boolean}
+   */
+  this.visible_ = options.visible === undefined ? true : !!options.visible;
+
+  /**
+   * @private {boolean}
+   */
+  this.animate_ = !!options.animate;
+
+  /**
+   * @private {string}
+   */
+  this.isolation_ = options.isolation || 'none';
+  if (['none', 'scissor', 'framebuffer'].indexOf(this.isolation_) === -1) {
+    throw new Error('"' + this.isolation_ + '" is not a valid isolation ' +
+        'mode.');
+  }
+
+  /**
+   * @private {google.maps.LatLngBounds}
+   */
+  this.bounds_ = options.bounds || null;
+
+  /**
+   * The member's own framebuffer (or, for a 2d group, offscreen canvas), if
+   * it has been needed.
+   * @private {Object}
+   */
+  this.target_ = null;
+};
+
+/**
+ * Sets the member's place in the drawing order; lower orders are drawn first.
+ * @param {number} order
+ */
+CanvasLayerGroup.Member.prototype.setOrder = function(order) {
+  this.order_ = order;
+  this.group_.drawOrder_ = null;
+  this.group_.scheduleUpdate();
+};
+
+/**
+ * @return {number} The member's place in the drawing order.
+ */
+CanvasLayerGroup.Member.prototype.getOrder = function() {
+  return this.order_;
+};
+
+/**
+ * Sets the member's opacity, from 0 to 1.
+ * @param {number} opacity
+ */
+CanvasLayerGroup.Member.prototype.setOpacity = function(opacity) {
+  this.opacity_ = Math.min(Math.max(opacity, 0), 1);
+  this.group_.scheduleUpdate();
+};
+
+/**
+ * @return {number} The member's opacity.
+ */
+CanvasLayerGroup.Member.prototype.getOpacity = function() {
+  return this.opacity_;
+};
+
+/**
+ * Shows or hides the member.
+ * @param {boolean} visible
+ */
+CanvasLayerGroup.Member.prototype.setVisible = function(visible) {
+  this.visible_ = !!visible;
+  this.group_.refreshAnimate_();
+  this.group_.scheduleUpdate();
+};
+
+/**
+ * @return {boolean} Whether the member is drawn.
+ */
+CanvasLayerGroup.Member.prototype.isVisible = function() {
+  return this.visible_;
+};
+
+/**
+ * Sets whether the member is animated.
+ * @param {boolean} animate
+ */
+CanvasLayerGroup.Member.prototype.setAnimate = function(animate) {
+  this.animate_ = !!animate;
+  this.group_.refreshAnimate_();
+};
+
+/**
+ * @return {boolean} Whether the member is animated.
+ */
+CanvasLayerGroup.Member.prototype.isAnimated = function() {
+  return this.animate_;
+};
+
+/**
+ * Schedules an update of the group, in which this member is redrawn.
+ */
+CanvasLayerGroup.Member.prototype.scheduleUpdate = function() {
+  this.group_.scheduleUpdate();
+};
+
+/**
+ * Removes the member from its group.
+ */
+CanvasLayerGroup.Member.prototype.remove = function() {
+  this.group_.removeLayer(this);
+};
+
+/**
+ * @return {boolean} Whether the member draws to its own target.
+ * @private
+ */
+CanvasLayerGroup.Member.prototype.usesTarget_ = function() {
+  return this.isolation_ === 'framebuffer' || this.opacity_ < 1;
+};
+
+/**
+ * Returns the context the member's handlers draw with: that of its own
+ * offscreen canvas if it has one in a 2d group, otherwise the group's.
+ * @param {!CanvasLayer.FrameContext} frame
+ * @return {!Object}
+ * @private
+ */
+CanvasLayerGroup.Member.prototype.getDrawingContext_ = function(frame) {
+  if (this.group_.contextType_ === '2d' && this.usesTarget_()) {
+    return this.getTarget_(frame).context;
+  }
+
+  return this.group_.context;
+};
+
+/**
+ * Returns the member's framebuffer or offscreen canvas, created or resized to
+ * match the canvas.
+ * @param {!CanvasLayer.FrameContext} frame
+ * @return {!Object}
+ * @private
+ */
+CanvasLayerGroup.Member.prototype.getTarget_ = function(frame) {
+  var target = this.target_;
+  if (target && target.width === frame.width &&
+      target.height === frame.height) {
+    return target;
+  }
+
+  if (!target) {
+    target = this.target_ = this.createTarget_();
+  }
+  target.width = frame.width;
+  target.height = frame.height;
+
+  if (target.canvas) {
+    target.canvas.width = frame.width;
+    target.canvas.height = frame.height;
+    return target;
+  }
+
+  var gl = this.group_.context;
+  gl.bindTexture(gl.TEXTURE_2D, target.texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, frame.width, frame.height, 0,
+      gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthBuffer);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, frame.width,
+      frame.height);
+  gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+  return target;
+};
+
+/**
+ * Creates the member's framebuffer or offscreen canvas, without storage.
+ * @return {!Object}
+ * @private
+ */
+CanvasLayerGroup.Member.prototype.createTarget_ = function() {
+  if (this.group_.contextType_ === '2d') {
+    var canvas = document.createElement('canvas');
+    return {canvas: canvas, context: canvas.getContext('2d')};
+  }
+
+  var gl = this.group_.context;
+  var resources = this.group_.resources;
+  var texture = resources.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  var depthBuffer = resources.createRenderbuffer();
+  var framebuffer = resources.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D, texture, 0);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT,
+      gl.RENDERBUFFER, depthBuffer);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  return {
+    texture: texture,
+    depthBuffer: depthBuffer,
+    framebuffer: framebuffer
+  };
+};
+
+/**
+ * Deletes the member's framebuffer or offscreen canvas, if any.
+ * @private
+ */
+CanvasLayerGroup.Member.prototype.releaseTarget_ = function() {
+  var target = this.target_;
+  if (!target) {
+    return;
+  }
+
+  if (target.framebuffer) {
+    var resources = this.group_.resources;
+    resources.release(target.framebuffer);
+    resources.release(target.depthBuffer);
+    resources.release(target.texture);
+  }
+  this.target_ = null;
+};
+
+return CanvasLayerGroup;
+
+}));
@@ -26,6 +26,14 @@
  */
 function CanvasLayerOptions() {}
 
+/**
+ * If true, or a set of settings, the resolution scale is lowered while update
+ * handlers exceed a frame time budget and raised again once they're
+ * comfortably within it. Default is false.
+ * @type {boolean|CanvasLayer.AdaptiveResolutionOptions}
+ */
+CanvasLayerOptions.prototype.adaptiveResolution;
+
 /**
  * If true, updateHandler will be called repeatedly, once per frame. If false,
  * updateHandler will only be called when a map property changes that could
@@ -34,12 +42,91 @@ function CanvasLayerOptions() {}
  */
 CanvasLayerOptions.prototype.animate;
 
+/**
+ * How the canvas is blended with the map beneath it, as a CSS mix-blend-mode,
+ * e.g. "multiply" or "screen". Default is "normal".
+ * @type {string}
+ */
+CanvasLayerOptions.prototype.blendMode;
+
+/**
+ * A CanvasLayerClock whose time is passed to the handlers in each
+ * CanvasLayer.FrameContext. See CanvasLayer.prototype.setClock.
+ * @type {CanvasLayerClock}
+ */
+CanvasLayerOptions.prototype.clock;
+
+/**
+ * Attributes to create the canvas's context with, e.g. {alpha: false}. Used
+ * with contextType.
+ * @type {Object}
+ */
+CanvasLayerOptions.prototype.contextAttributes;
+
+/**
+ * The type of context CanvasLayer.prototype.getContext creates for the
+ * canvas: "2d", "webgl" or "webgl2". See CanvasLayer.prototype.setContextType.
+ * @type {string}
+ */
+CanvasLayerOptions.prototype.contextType;
+
+/**
+ * The duration, in milliseconds, of the fade when the layer is shown or hidden
+ * or its opacity changes. Default is 0, for no fade.
+ * @type {number}
+ */
+CanvasLayerOptions.prototype.fadeDuration;
+
+/**
+ * A CSS filter applied to the canvas, e.g. "blur(2px)".
+ * @type {string}
+ */
+CanvasLayerOptions.prototype.filter;
+
+/**
+ * The CSS cursor shown while the pointer is over a feature found by hitTest.
+ * Default is "pointer".
+ * @type {string}
+ */
+CanvasLayerOptions.prototype.hitCursor;
+
+/**
+ * A function that returns the feature drawn at a canvas backing-store pixel,
+ * or null if there is none, to make the layer's content interactive.
+ * See CanvasLayer.prototype.setHitTest.
+ * @type {function(number, number): *}
+ */
+CanvasLayerOptions.prototype.hitTest;
+
 /**
  * Map on which to overlay the canvas.
  * @type {google.maps.Map}
  */
 CanvasLayerOptions.prototype.map;
 
+/**
+ * The maximum rate, in frames per second, at which an animated layer is
+ * updated. Updates needed for other reasons (e.g. a pan of the map) are not
+ * delayed. Default is 0, for no limit.
+ * @type {number}
+ */
+CanvasLayerOptions.prototype.maxFps;
+
+/**
+ * The opacity of the canvas, from 0 to 1. Default is 1.
+ * @type {number}
+ */
+CanvasLayerOptions.prototype.opacity;
+
+/**
+ * A margin by which the canvas extends past every side of the map, so small
+ * pans reveal already-drawn content instead of requiring a redraw. Either a
+ * number of CSS pixels or a percentage string (e.g. "25%") of the map's width
+ * and height. Default is 0.
+ * @type {number|string}
+ */
+CanvasLayerOptions.prototype.overscan;
+
 /**
  * The name of the MapPane in which this layer will be displayed. See
  * {@code google.maps.MapPanes} for the panes available. Default is
@@ -48,24 +135,84 @@ CanvasLayerOptions.prototype.map;
  */
 CanvasLayerOptions.prototype.paneName;
 
+/**
+ * If true, animation is suspended while the document is hidden. Default is
+ * true.
+ * @type {boolean}
+ */
+CanvasLayerOptions.prototype.pauseWhenHidden;
+
+/**
+ * If true, animation is suspended while the map div is scrolled out of the
+ * viewport. Default is true.
+ * @type {boolean}
+ */
+CanvasLayerOptions.prototype.pauseWhenOffscreen;
+
+/**
+ * How animation responds when the user prefers reduced motion: 'ignore'
+ * animates as usual, 'pause' suspends animation, and a number limits
+ * animation to that many frames per second. Default is 'ignore'.
+ * @type {string|number}
+ */
+CanvasLayerOptions.prototype.reducedMotion;
+
 /**
  * A function that is called whenever the canvas has been resized to fit the
- * map.
- * @type {function}
+ * map. It is passed the CanvasLayer.FrameContext of the update.
+ * @type {function(!CanvasLayer.FrameContext)}
  */
 CanvasLayerOptions.prototype.resizeHandler;
 
+/**
+ * A Worker, or the URL of a script to start as a classic worker, to transfer
+ * the canvas to as an OffscreenCanvas and draw in. See
+ * CanvasLayer.prototype.setRenderInWorker.
+ * @type {Worker|string}
+ */
+CanvasLayerOptions.prototype.renderInWorker;
+
 /**
  * A value for scaling the CanvasLayer resolution relative to the CanvasLayer
  * display size. This can be used to save computation by scaling the backing
  * buffer down, or to support high DPI devices by scaling it up (by e.g.
- * window.devicePixelRatio).
- * @type {number}
+ * window.devicePixelRatio). If "auto", the scale follows
+ * window.devicePixelRatio (times resolutionScaleMultiplier) as it changes.
+ * @type {number|string}
  */
 CanvasLayerOptions.prototype.resolutionScale;
 
 /**
- * A function that is called when a repaint of the canvas is required.
- * @type {function}
+ * A factor by which window.devicePixelRatio is multiplied when resolutionScale
+ * is "auto". Default is 1.
+ * @type {number}
+ */
+CanvasLayerOptions.prototype.resolutionScaleMultiplier;
+
+/**
+ * A function that is called when a repaint of the canvas is required. It is
+ * passed the CanvasLayer.FrameContext of the update.
+ * @type {function(!CanvasLayer.FrameContext)}
  */
 CanvasLayerOptions.prototype.updateHandler;
+
+/**
+ * If false, the canvas is hidden and updates are deferred until it is shown
+ * again. Default is true.
+ * @type {boolean}
+ */
+CanvasLayerOptions.prototype.visible;
+
+/**
+ * The z-index of the canvas within its MapPane, to order it among other
+ * overlays in the same pane.
+ * @type {?number}
+ */
+CanvasLayerOptions.prototype.zIndex;
+
+/**
+ * If true, the previously drawn frame is CSS-scaled to follow the map through
+ * a zoom change until the update handler has redrawn it. Default is false.
+ * @type {boolean}
+ */
+CanvasLayerOptions.prototype.zoomAnimation;
@@ -0,0 +1,62 @@
+/// <reference path="CanvasLayer.d.ts" />
+/// <reference path="CanvasLayerResources.d.ts" />
+
+/**
+ * A picking framebuffer for a WebGL CanvasLayer. drawIds is called to draw the
+ * layer's features into the framebuffer, with each feature's color given by
+ * CanvasLayerPicker.ENCODE_ID_GLSL, whenever a pick is needed and the layer
+ * has been updated since the last one. The framebuffer follows the size of the
+ * canvas as the layer is resized, and is recreated when the layer's context is
+ * restored after being lost. Its texture, depth buffer and framebuffer are
+ * created through a CanvasLayerResources, so they're released when the layer is
+ * disposed.
+ */
+declare class CanvasLayerPicker {
+    /**
+     * @param {!CanvasLayer} layer The layer to pick from.
+     * @param {!WebGLRenderingContext} gl The layer canvas's WebGL context.
+     * @param {function()} drawIds Draws the layer's features in their ID colors.
+     *     Called with the picking framebuffer bound, cleared and the viewport
+     *     set, with blending, dithering and the scissor test disabled and all
+     *     color channels writable.
+     * @param {CanvasLayerResources=} opt_resources The registry to create the
+     *     framebuffer through, e.g. one the layer's other resources are counted
+     *     in. If not given, the picker creates its own for the layer.
+     */
+    constructor(layer:CanvasLayer.Layer, gl:WebGLRenderingContext, drawIds:()=>void,
+        opt_resources?:CanvasLayerResources);
+
+    /**
+     * GLSL defining encodePickingId(float id), which returns the color to draw a
+     * feature with for its ID (its index plus one).
+     */
+    static ENCODE_ID_GLSL:string;
+
+    /**
+     * Creates the ID attribute data for count features: each feature's index plus
+     * one, so that ID 0 (the cleared framebuffer) means no feature.
+     */
+    static createIds(count:number):Float32Array;
+
+    /**
+     * Returns the index of the feature drawn at a canvas backing-store pixel, or
+     * null if there is none. The framebuffer is redrawn first if the layer has
+     * been updated since the last pick.
+     */
+    pick(x:number, y:number):number;
+
+    /**
+     * Marks the framebuffer to be redrawn before the next pick, e.g. after
+     * changing the features without an update of the layer.
+     */
+    invalidate():void;
+
+    /**
+     * Deletes the framebuffer and stops following the layer.
+     */
+    dispose():void;
+}
+
+declare module 'canvaslayer/src/CanvasLayerPicker.js' {
+    export = CanvasLayerPicker;
+}
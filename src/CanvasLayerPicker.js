@@ -0,0 +1,357 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview GPU color picking for WebGL CanvasLayers. Features are drawn
+ * into an offscreen framebuffer with their index encoded as a color, and the
+ * pixel under the pointer is read back to find the feature there.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./CanvasLayerResources'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./CanvasLayerResources.js'));
+  } else {
+    root.CanvasLayerPicker = factory(root.CanvasLayerResources);
+  }
+}(typeof self !== 'undefined' ? self : this, function(CanvasLayerResources) {
+
+/**
+ * A picking framebuffer for a WebGL CanvasLayer. drawIds is called to draw the
+ * layer's features into the framebuffer, with each feature's color given by
+ * CanvasLayerPicker.ENCODE_ID_GLSL, whenever a pick is needed and the layer
+ * has been updated since the last one. The framebuffer follows the size of the
+ * canvas as the layer is resized, and is recreated when the layer's context
+ * is restored after being lost. Its texture, depth buffer and framebuffer are
+ * created through a CanvasLayerResources, so they're released when the layer
+ * is disposed.
+ * <pre>
+ *   var picker = new CanvasLayerPicker(canvasLayer, gl, drawIds);
+ *   canvasLayer.setHitTest(function(x, y) {
+ *     return picker.pick(x, y);
+ *   });
+ * </pre>
+ * @constructor
+ * @param {!CanvasLayer} layer The layer to pick from.
+ * @param {!WebGLRenderingContext} gl The layer canvas's WebGL context.
+ * @param {function()} drawIds Draws the layer's features in their ID colors.
+ *     Called with the picking framebuffer bound, cleared and the viewport
+ *     set, with blending, dithering and the scissor test disabled and all
+ *     color channels writable.
+ * @param {CanvasLayerResources=} opt_resources The registry to create the
+ *     framebuffer through, e.g. one the layer's other resources are counted
+ *     in. If not given, the picker creates its own for the layer.
+ */
+function CanvasLayerPicker(layer, gl, drawIds, opt_resources) {
+  /**
+   * @type {!CanvasLayer}
+   * @private
+   */
+  this.layer_ = layer;
+
+  /**
+   * @type {!WebGLRenderingContext}
+   * @private
+   */
+  this.gl_ = gl;
+
+  /**
+   * @type {function()}
+   * @private
+   */
+  this.drawIds_ = drawIds;
+
+  /**
+   * @type {!CanvasLayerResources}
+   * @private
+   */
+  this.resources_ = opt_resources || new CanvasLayerResources(layer);
+
+  /**
+   * Whether resources_ was created by the picker, and is disposed with it.
+   * @type {boolean}
+   * @private
+   */
+  this.ownsResources_ = !opt_resources;
+
+  /**
+   * The width of the framebuffer.
+   * @type {number}
+   * @private
+   */
+  this.width_ = 0;
+
+  /**
+   * The height of the framebuffer.
+   * @type {number}
+   * @private
+   */
+  this.height_ = 0;
+
+  /**
+   * If true, the framebuffer must be redrawn before the next pick.
+   * @type {boolean}
+   * @private
+   */
+  this.isDirty_ = true;
+
+  /**
+   * Scratch space for the pixel read back from the framebuffer.
+   * @type {!Uint8Array}
+   * @private
+   */
+  this.pixel_ = new Uint8Array(4);
+
+  /**
+   * @type {WebGLTexture}
+   * @private
+   */
+  this.texture_ = null;
+
+  /**
+   * @type {WebGLRenderbuffer}
+   * @private
+   */
+  this.depthBuffer_ = null;
+
+  /**
+   * The picking framebuffer, or null while the context is lost.
+   * @type {WebGLFramebuffer}
+   * @private
+   */
+  this.framebuffer_ = null;
+
+  var picker = this;
+
+  /**
+   * Listeners on the layer, removed by dispose.
+   * @type {!Array<!google.maps.MapsEventListener>}
+   * @private
+   */
+  this.listeners_ = [
+    layer.addListener('resize', function(frame) {
+      picker.resize_(frame.width, frame.height);
+    }),
+    layer.addListener('update', function() {
+      picker.isDirty_ = true;
+    }),
+    // the lost context's resources are gone (and the registry has forgotten
+    // them), so are recreated on restore
+    layer.addListener('contextlost', function() {
+      picker.texture_ = null;
+      picker.depthBuffer_ = null;
+      picker.framebuffer_ = null;
+    }),
+    layer.addListener('contextrestored', function() {
+      picker.createFramebuffer_();
+    })
+  ];
+
+  this.createFramebuffer_();
+}
+
+/**
+ * GLSL for use in a vertex or fragment shader drawing features for picking.
+ * encodePickingId takes a feature's ID (its index plus one, as created by
+ * CanvasLayerPicker.createIds) and returns the color to draw it with, e.g.
+ * <pre>
+ *   attribute float featureId;
+ *   varying vec4 vPickingColor;
+ *   ...
+ *   vPickingColor = encodePickingId(featureId);
+ * </pre>
+ * Encoding in the vertex shader keeps the full precision of the ID. Up to
+ * 2^24 - 1 features can be distinguished.
+ * @type {string}
+ * @const
+ */
+CanvasLayerPicker.ENCODE_ID_GLSL =
+    'vec4 encodePickingId(float id) {\n' +
+    '  return vec4(mod(id, 256.), mod(floor(id / 256.), 256.),\n' +
+    '      floor(id / 65536.), 255.) / 255.;\n' +
+    '}\n';
+
+/**
+ * Creates the ID attribute data for count features: each feature's index plus
+ * one, so that ID 0 (the cleared framebuffer) means no feature.
+ * @param {number} count The number of features.
+ * @return {!Float32Array}
+ */
+CanvasLayerPicker.createIds = function(count) {
+  var ids = new Float32Array(count);
+  for (var i = 0; i < count; i++) {
+    ids[i] = i + 1;
+  }
+
+  return ids;
+};
+
+/**
+ * Returns the index of the feature drawn at a canvas backing-store pixel, or
+ * null if there is none. The framebuffer is redrawn first if the layer has
+ * been updated since the last pick.
+ * @param {number} x
+ * @param {number} y
+ * @return {?number}
+ */
+CanvasLayerPicker.prototype.pick = function(x, y) {
+  x = Math.floor(x);
+  y = Math.floor(y);
+  if (!this.framebuffer_ ||
+      x < 0 || y < 0 || x >= this.width_ || y >= this.height_) {
+    return null;
+  }
+
+  var gl = this.gl_;
+  if (this.isDirty_) {
+    this.render_();
+  }
+
+  // WebGL's y axis is flipped from the canvas's
+  gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer_);
+  gl.readPixels(x, this.height_ - 1 - y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE,
+      this.pixel_);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  var pixel = this.pixel_;
+  var id = pixel[0] + pixel[1] * 256 + pixel[2] * 65536;
+  return id === 0 ? null : id - 1;
+};
+
+/**
+ * Marks the framebuffer to be redrawn before the next pick, e.g. after
+ * changing the features without an update of the layer.
+ */
+CanvasLayerPicker.prototype.invalidate = function() {
+  this.isDirty_ = true;
+};
+
+/**
+ * Deletes the framebuffer and stops following the layer.
+ */
+CanvasLayerPicker.prototype.dispose = function() {
+  for (var i = 0; i < this.listeners_.length; i++) {
+    this.listeners_[i].remove();
+  }
+  this.listeners_ = [];
+
+  if (this.ownsResources_) {
+    this.resources_.dispose();
+  } else if (this.framebuffer_) {
+    this.resources_.release(this.framebuffer_);
+    this.resources_.release(this.depthBuffer_);
+    this.resources_.release(this.texture_);
+  }
+  this.framebuffer_ = null;
+  this.depthBuffer_ = null;
+  this.texture_ = null;
+};
+
+/**
+ * Creates the framebuffer and its attachments, sized to the canvas.
+ * @private
+ */
+CanvasLayerPicker.prototype.createFramebuffer_ = function() {
+  this.texture_ = this.resources_.createTexture();
+  this.depthBuffer_ = this.resources_.createRenderbuffer();
+  this.framebuffer_ = this.resources_.createFramebuffer();
+
+  this.width_ = 0;
+  this.height_ = 0;
+  this.resize_(this.layer_.canvas.width, this.layer_.canvas.height);
+};
+
+/**
+ * Resizes the framebuffer to match the canvas.
+ * @param {number} width
+ * @param {number} height
+ * @private
+ */
+CanvasLayerPicker.prototype.resize_ = function(width, height) {
+  if (!this.framebuffer_ ||
+      (width === this.width_ && height === this.height_)) {
+    return;
+  }
+  this.width_ = width;
+  this.height_ = height;
+  this.isDirty_ = true;
+
+  var gl = this.gl_;
+  gl.bindTexture(gl.TEXTURE_2D, this.texture_);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA,
+      gl.UNSIGNED_BYTE, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  gl.bindRenderbuffer(gl.RENDERBUFFER, this.depthBuffer_);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width,
+      height);
+  gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer_);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D, this.texture_, 0);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT,
+      gl.RENDERBUFFER, this.depthBuffer_);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+};
+
+/**
+ * Draws the features into the framebuffer, restoring the state it changes.
+ * Anything that would alter or clip the ID colors (blending, dithering, the
+ * scissor test and the color mask) is turned off for the draw.
+ * @private
+ */
+CanvasLayerPicker.prototype.render_ = function() {
+  var gl = this.gl_;
+  var clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+  var viewport = gl.getParameter(gl.VIEWPORT);
+  var colorMask = gl.getParameter(gl.COLOR_WRITEMASK);
+  var capabilities = [gl.BLEND, gl.DITHER, gl.SCISSOR_TEST];
+  var enabled = [];
+  for (var i = 0; i < capabilities.length; i++) {
+    enabled[i] = gl.isEnabled(capabilities[i]);
+    gl.disable(capabilities[i]);
+  }
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer_);
+  gl.viewport(0, 0, this.width_, this.height_);
+  gl.colorMask(true, true, true, true);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+  this.drawIds_();
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+  gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+  gl.colorMask(colorMask[0], colorMask[1], colorMask[2], colorMask[3]);
+  for (i = 0; i < capabilities.length; i++) {
+    if (enabled[i]) {
+      gl.enable(capabilities[i]);
+    }
+  }
+
+  this.isDirty_ = false;
+};
+
+return CanvasLayerPicker;
+
+}));
@@ -0,0 +1,126 @@
+/// <reference path="CanvasLayer.d.ts" />
+
+declare namespace CanvasLayerProgram{
+    /**
+     * Options for a CanvasLayerProgram.
+     */
+    export interface Options{
+        /** The vertex shader's GLSL. */
+        vertexSource:string;
+        /** The fragment shader's GLSL. */
+        fragmentSource:string;
+        /**
+         * Macros to #define at the top of both shaders, by name. A value of true
+         * defines the name with no value; false, null and undefined leave it
+         * undefined; anything else is converted to a string. Note that GLSL ES
+         * 1.00 doesn't convert ints to floats, so define float values as e.g.
+         * '10.' rather than 10.
+         */
+        defines?:{[name:string]:any};
+        /**
+         * The default float precision of the fragment shader, 'lowp', 'mediump'
+         * or 'highp', replacing any the source sets. If unset, the source's own
+         * precision is used, or mediump if it has none (fragment shaders have no
+         * default).
+         */
+        precision?:string;
+        /**
+         * If true, setUniforms throws for names that aren't active uniforms of the
+         * program, rather than ignoring them. Default is false.
+         */
+        debug?:boolean;
+    }
+
+    /**
+     * An error compiling or linking a program. The message includes the
+     * compiler's log and, for compile errors, the source lines each message
+     * refers to.
+     */
+    export class ShaderError extends Error {
+        constructor(type:string, log:string, source:string|null);
+
+        /** What failed: 'vertex', 'fragment' or 'link'. */
+        type:string;
+
+        /** The compile or link info log. */
+        log:string;
+
+        /** The source compiled, after injection, or null for a link error. */
+        source:string|null;
+
+        /**
+         * The messages in the log. line is the line of source they refer to, or
+         * null if none is given.
+         */
+        errors:{line:number|null, message:string}[];
+    }
+}
+
+/**
+ * A linked WebGL program. The shaders are compiled and linked on
+ * construction, and a CanvasLayerProgram.ShaderError is thrown if either
+ * fails, with the compiler's messages placed under the source lines they
+ * refer to.
+ */
+declare class CanvasLayerProgram {
+    /**
+     * @param gl The context to create the program in.
+     */
+    constructor(gl:WebGLRenderingContext, options:CanvasLayerProgram.Options);
+
+    /** The linked program. */
+    program:WebGLProgram|null;
+
+    /** The vertex shader source as compiled, after injection. */
+    vertexSource:string;
+
+    /** The fragment shader source as compiled, after injection. */
+    fragmentSource:string;
+
+    /**
+     * Makes the program current.
+     */
+    use():void;
+
+    /**
+     * Returns the location of an attribute, looking it up only on the first call
+     * for each name.
+     * @return {number} The location, or -1 if the attribute isn't active.
+     */
+    getAttribLocation(name:string):number;
+
+    /**
+     * Returns the location of a uniform, looking it up only on the first call for
+     * each name.
+     * @return The location, or null if the uniform isn't active.
+     */
+    getUniformLocation(name:string):WebGLUniformLocation|null;
+
+    /**
+     * Sets uniforms of the program, which must be in use (see use), from an
+     * object of values by uniform name. Numbers set scalar uniforms (booleans
+     * are also accepted for bools) and arrays or typed arrays set vectors,
+     * matrices and arrays of uniforms, e.g. 'u_colors' or 'u_colors[0]' for
+     * "uniform vec3 u_colors[2]" takes 6 numbers. Each value, and each element of
+     * an array, is checked against the uniform's GLSL type (integers for ints and
+     * bools, non-negative integers for uints), and a GL call is only made if it
+     * has changed since it was last set. Names that aren't active uniforms are
+     * ignored, or throw in debug mode; the compiler removes uniforms the shaders
+     * don't use.
+     */
+    setUniforms(values:{[name:string]:number|boolean|ArrayLike<number>}):void;
+
+    /**
+     * @return {boolean} Whether name is an active uniform of the program.
+     */
+    hasUniform(name:string):boolean;
+
+    /**
+     * Deletes the program. It can't be used afterwards.
+     */
+    dispose():void;
+}
+
+declare module 'canvaslayer/src/CanvasLayerProgram.js' {
+    export = CanvasLayerProgram;
+}
@@ -0,0 +1,805 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Compiles and links WebGL shader programs for CanvasLayers,
+ * with #define injection, precision selection, errors that show the failing
+ * source lines, cached attribute and uniform locations, and uniform setters
+ * that skip unchanged values.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CanvasLayerProgram = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+
+/**
+ * A linked WebGL program. The shaders are compiled and linked on
+ * construction, and a CanvasLayerProgram.ShaderError is thrown if either
+ * fails, with the compiler's messages placed under the source lines they
+ * refer to.
+ * <pre>
+ *   var program = new CanvasLayerProgram(gl, {
+ *     vertexSource: vertexSrc,
+ *     fragmentSource: fragmentSrc,
+ *     defines: {POINT_SIZE: '10.', CITY_LIGHTS: true},
+ *     precision: 'highp'
+ *   });
+ *   program.use();
+ *   program.setUniforms({mapMatrix: m, u_opacity: 0.5});
+ * </pre>
+ * @constructor
+ * @param {!WebGLRenderingContext} gl The context to create the program in.
+ * @param {!CanvasLayerProgram.Options} options
+ */
+function CanvasLayerProgram(gl, options) {
+  /**
+   * @type {!WebGLRenderingContext}
+   * @private
+   */
+  this.gl_ = gl;
+
+  /**
+   * The vertex shader source as compiled, after injection.
+   * @type {string}
+   */
+  this.vertexSource = CanvasLayerProgram.prepareSource_(options.vertexSource,
+      options.defines, undefined);
+
+  /**
+   * The fragment shader source as compiled, after injection.
+   * @type {string}
+   */
+  this.fragmentSource = CanvasLayerProgram.prepareSource_(
+      options.fragmentSource, options.defines, options.precision || null);
+
+  /**
+   * Attribute locations looked up so far, by name.
+   * @type {!Object<string, number>}
+   * @private
+   */
+  this.attribLocations_ = {};
+
+  /**
+   * Uniform locations looked up so far, by name. Uniforms that aren't active
+   * in the program are cached as null.
+   * @type {!Object<string, WebGLUniformLocation>}
+   * @private
+   */
+  this.uniformLocations_ = {};
+
+  /**
+   * The program's active uniforms, by name, with the value last set.
+   * @type {!Object<string, !CanvasLayerProgram.Uniform_>}
+   * @private
+   */
+  this.uniforms_ = {};
+
+  /**
+   * If true, setUniforms throws for names that aren't active uniforms.
+   * @type {boolean}
+   * @private
+   */
+  this.debug_ = !!options.debug;
+
+  var vertexShader = this.compileShader_(gl.VERTEX_SHADER, 'vertex',
+      this.vertexSource);
+  var fragmentShader;
+  try {
+    fragmentShader = this.compileShader_(gl.FRAGMENT_SHADER, 'fragment',
+        this.fragmentSource);
+  } catch (e) {
+    gl.deleteShader(vertexShader);
+    throw e;
+  }
+
+  var program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+
+  // flagged now, the shaders are deleted along with the program
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
+  // a lost context fails everything, but isn't the shaders' fault
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS) &&
+      !gl.isContextLost()) {
+    var log = gl.getProgramInfoLog(program) || '';
+    gl.deleteProgram(program);
+    throw new CanvasLayerProgram.ShaderError('link', log, null);
+  }
+
+  /**
+   * The linked program.
+   * @type {WebGLProgram}
+   */
+  this.program = program;
+
+  this.reflectUniforms_();
+}
+
+/**
+ * Options for a CanvasLayerProgram.
+ * <ul>
+ *   <li>vertexSource: the vertex shader's GLSL.
+ *   <li>fragmentSource: the fragment shader's GLSL.
+ *   <li>defines: macros to #define at the top of both shaders, by name. A
+ *       value of true defines the name with no value; false, null and
+ *       undefined leave it undefined; anything else is converted to a
+ *       string. Note that GLSL ES 1.00 doesn't convert ints to floats, so
+ *       define float values as e.g. '10.' rather than 10.
+ *   <li>precision: the default float precision of the fragment shader,
+ *       'lowp', 'mediump' or 'highp', replacing any the source sets. If
+ *       unset, the source's own precision is used, or mediump if it has none
+ *       (fragment shaders have no default).
+ *   <li>debug: if true, setUniforms throws for names that aren't active
+ *       uniforms of the program, rather than ignoring them. Default is
+ *       false.
+ * </ul>
+ * @typedef {{
+ *   vertexSource: string,
+ *   fragmentSource: string,
+ *   defines: (Object<string, *>|undefined),
+ *   precision: (string|undefined),
+ *   debug: (boolean|undefined)
+ * }}
+ */
+CanvasLayerProgram.Options;
+
+/**
+ * An active uniform of a program.
+ * <ul>
+ *   <li>location: the uniform's location.
+ *   <li>type: the GLSL type, e.g. 'vec3'.
+ *   <li>setter: how to set it, from CanvasLayerProgram.UNIFORM_SETTERS_.
+ *   <li>length: the number of values it takes, e.g. 3 for a vec3, or 6 for
+ *       an array of two.
+ *   <li>isArray: whether it takes an array of values rather than a single
+ *       number.
+ *   <li>value: the value last set, or undefined if it hasn't been set. Arrays
+ *       are copied.
+ * </ul>
+ * @typedef {{
+ *   location: WebGLUniformLocation,
+ *   type: string,
+ *   setter: !CanvasLayerProgram.UniformSetter_,
+ *   length: number,
+ *   isArray: boolean,
+ *   value: *
+ * }}
+ * @private
+ */
+CanvasLayerProgram.Uniform_;
+
+/**
+ * How to set a type of uniform: its GLSL name, the kind of value it takes
+ * ('float', 'int', 'uint' or 'bool'; samplers take the int of a texture
+ * unit), the number of values in one, and the names of the context's methods
+ * to set a single one (for scalars) and an array.
+ * @typedef {{
+ *   type: string,
+ *   kind: string,
+ *   components: number,
+ *   scalarMethod: ?string,
+ *   arrayMethod: string
+ * }}
+ * @private
+ */
+CanvasLayerProgram.UniformSetter_;
+
+/**
+ * Creates a CanvasLayerProgram.UniformSetter_.
+ * @param {string} type
+ * @param {string} kind
+ * @param {number} components
+ * @param {?string} scalarMethod
+ * @param {string} arrayMethod
+ * @return {!CanvasLayerProgram.UniformSetter_}
+ * @private
+ */
+CanvasLayerProgram.setter_ = function(type, kind, components, scalarMethod,
+    arrayMethod) {
+  return {
+    type: type,
+    kind: kind,
+    components: components,
+    scalarMethod: scalarMethod,
+    arrayMethod: arrayMethod
+  };
+};
+
+/**
+ * The setters for each uniform type, by the GL enum getActiveUniform reports
+ * for it. The enums are the same in every context, so they're listed as
+ * numbers rather than looked up on one.
+ * @type {!Object<number, !CanvasLayerProgram.UniformSetter_>}
+ * @const
+ * @private
+ */
+CanvasLayerProgram.UNIFORM_SETTERS_ = (function() {
+  var setter = CanvasLayerProgram.setter_;
+  var setters = {
+    0x1406: setter('float', 'float', 1, 'uniform1f', 'uniform1fv'),
+    0x8B50: setter('vec2', 'float', 2, null, 'uniform2fv'),
+    0x8B51: setter('vec3', 'float', 3, null, 'uniform3fv'),
+    0x8B52: setter('vec4', 'float', 4, null, 'uniform4fv'),
+    0x1404: setter('int', 'int', 1, 'uniform1i', 'uniform1iv'),
+    0x8B53: setter('ivec2', 'int', 2, null, 'uniform2iv'),
+    0x8B54: setter('ivec3', 'int', 3, null, 'uniform3iv'),
+    0x8B55: setter('ivec4', 'int', 4, null, 'uniform4iv'),
+    0x8B56: setter('bool', 'bool', 1, 'uniform1i', 'uniform1iv'),
+    0x8B57: setter('bvec2', 'bool', 2, null, 'uniform2iv'),
+    0x8B58: setter('bvec3', 'bool', 3, null, 'uniform3iv'),
+    0x8B59: setter('bvec4', 'bool', 4, null, 'uniform4iv'),
+    0x8B5A: setter('mat2', 'float', 4, null, 'uniformMatrix2fv'),
+    0x8B5B: setter('mat3', 'float', 9, null, 'uniformMatrix3fv'),
+    0x8B5C: setter('mat4', 'float', 16, null, 'uniformMatrix4fv'),
+    // WebGL 2
+    0x1405: setter('uint', 'uint', 1, 'uniform1ui', 'uniform1uiv'),
+    0x8DC6: setter('uvec2', 'uint', 2, null, 'uniform2uiv'),
+    0x8DC7: setter('uvec3', 'uint', 3, null, 'uniform3uiv'),
+    0x8DC8: setter('uvec4', 'uint', 4, null, 'uniform4uiv')
+  };
+
+  var samplers = {
+    0x8B5E: 'sampler2D',
+    0x8B60: 'samplerCube',
+    // WebGL 2
+    0x8B5F: 'sampler3D',
+    0x8B62: 'sampler2DShadow',
+    0x8DC1: 'sampler2DArray',
+    0x8DC4: 'sampler2DArrayShadow',
+    0x8DC5: 'samplerCubeShadow',
+    0x8DCA: 'isampler2D',
+    0x8DCB: 'isampler3D',
+    0x8DCC: 'isamplerCube',
+    0x8DCF: 'isampler2DArray',
+    0x8DD2: 'usampler2D',
+    0x8DD3: 'usampler3D',
+    0x8DD4: 'usamplerCube',
+    0x8DD7: 'usampler2DArray'
+  };
+  for (var type in samplers) {
+    setters[type] = setter(samplers[type], 'int', 1, 'uniform1i',
+        'uniform1iv');
+  }
+
+  return setters;
+})();
+
+/**
+ * The float precisions that can be selected.
+ * @type {!Array<string>}
+ * @const
+ * @private
+ */
+CanvasLayerProgram.PRECISIONS_ = ['lowp', 'mediump', 'highp'];
+
+/**
+ * The number of source lines shown before each line with an error.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayerProgram.CONTEXT_LINES_ = 2;
+
+/**
+ * Makes the program current.
+ */
+CanvasLayerProgram.prototype.use = function() {
+  this.gl_.useProgram(this.program);
+};
+
+/**
+ * Returns the location of an attribute, looking it up only on the first call
+ * for each name.
+ * @param {string} name
+ * @return {number} The location, or -1 if the attribute isn't active.
+ */
+CanvasLayerProgram.prototype.getAttribLocation = function(name) {
+  if (!this.attribLocations_.hasOwnProperty(name)) {
+    this.attribLocations_[name] = this.gl_.getAttribLocation(this.program,
+        name);
+  }
+
+  return this.attribLocations_[name];
+};
+
+/**
+ * Returns the location of a uniform, looking it up only on the first call for
+ * each name.
+ * @param {string} name
+ * @return {WebGLUniformLocation} The location, or null if the uniform isn't
+ *     active.
+ */
+CanvasLayerProgram.prototype.getUniformLocation = function(name) {
+  if (!this.uniformLocations_.hasOwnProperty(name)) {
+    this.uniformLocations_[name] = this.gl_.getUniformLocation(this.program,
+        name);
+  }
+
+  return this.uniformLocations_[name];
+};
+
+/**
+ * Sets uniforms of the program, which must be in use (see use), from an
+ * object of values by uniform name. Numbers set scalar uniforms (booleans
+ * are also accepted for bools) and arrays or typed arrays set vectors,
+ * matrices and arrays of uniforms, e.g. 'u_colors' or 'u_colors[0]' for
+ * "uniform vec3 u_colors[2]" takes 6 numbers. Each value, and each element of
+ * an array, is checked against the uniform's GLSL type (integers for ints and
+ * bools, non-negative integers for uints), and a GL call is only made if it
+ * has changed since it was last set. Names that aren't active uniforms are
+ * ignored, or throw in debug mode; the compiler removes uniforms the shaders
+ * don't use.
+ * @param {!Object<string, *>} values
+ */
+CanvasLayerProgram.prototype.setUniforms = function(values) {
+  for (var name in values) {
+    var uniform = this.uniforms_[name];
+    if (uniform) {
+      this.setUniform_(name, uniform, values[name]);
+    } else if (this.debug_) {
+      throw new Error('"' + name + '" is not an active uniform of the ' +
+          'program. Uniforms the shaders don\'t use are removed when it is ' +
+          'linked.');
+    }
+  }
+};
+
+/**
+ * @param {string} name
+ * @return {boolean} Whether name is an active uniform of the program.
+ */
+CanvasLayerProgram.prototype.hasUniform = function(name) {
+  return this.uniforms_.hasOwnProperty(name);
+};
+
+/**
+ * Deletes the program. It can't be used afterwards.
+ */
+CanvasLayerProgram.prototype.dispose = function() {
+  this.gl_.deleteProgram(this.program);
+  this.program = null;
+  this.attribLocations_ = {};
+  this.uniformLocations_ = {};
+  this.uniforms_ = {};
+};
+
+/**
+ * Looks up the program's active uniforms once, for setUniforms. Arrays are
+ * listed under their name both with and without '[0]'.
+ * @private
+ */
+CanvasLayerProgram.prototype.reflectUniforms_ = function() {
+  var gl = this.gl_;
+  var count = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS) || 0;
+  for (var i = 0; i < count; i++) {
+    var info = gl.getActiveUniform(this.program, i);
+    var setter = info && CanvasLayerProgram.UNIFORM_SETTERS_[info.type];
+    if (!setter) {
+      continue;
+    }
+
+    var location = gl.getUniformLocation(this.program, info.name);
+    var isArray = /\[0\]$/.test(info.name);
+    var uniform = {
+      location: location,
+      type: setter.type,
+      setter: setter,
+      length: setter.components * info.size,
+      isArray: isArray || setter.components > 1,
+      value: undefined
+    };
+
+    this.uniforms_[info.name] = uniform;
+    this.uniformLocations_[info.name] = location;
+    if (isArray) {
+      var baseName = info.name.slice(0, -3);
+      this.uniforms_[baseName] = uniform;
+      this.uniformLocations_[baseName] = location;
+    }
+  }
+};
+
+/**
+ * Sets a uniform if value differs from the one last set, throwing if value
+ * doesn't fit the uniform's type.
+ * @param {string} name
+ * @param {!CanvasLayerProgram.Uniform_} uniform
+ * @param {*} value
+ * @private
+ */
+CanvasLayerProgram.prototype.setUniform_ = function(name, uniform, value) {
+  var setter = uniform.setter;
+  var gl = this.gl_;
+
+  if (!uniform.isArray) {
+    if (!CanvasLayerProgram.fitsKind_(setter.kind, value)) {
+      throw new Error(CanvasLayerProgram.describeMismatch_(name, uniform,
+          value));
+    }
+    value = CanvasLayerProgram.coerce_(setter.kind, value);
+    if (value !== uniform.value) {
+      uniform.value = value;
+      gl[setter.scalarMethod](uniform.location, value);
+    }
+    return;
+  }
+
+  if (!value || typeof value !== 'object' ||
+      value.length !== uniform.length) {
+    throw new Error(CanvasLayerProgram.describeMismatch_(name, uniform,
+        value));
+  }
+  // check every element before comparing, so a bad value throws even when
+  // it would convert to the one last set
+  for (var i = 0; i < value.length; i++) {
+    if (!CanvasLayerProgram.fitsKind_(setter.kind, value[i])) {
+      throw new Error(CanvasLayerProgram.describeMismatch_(name, uniform,
+          value));
+    }
+  }
+
+  var last = uniform.value;
+  if (!last) {
+    last = uniform.value = setter.kind === 'float' ?
+        new Float32Array(uniform.length) :
+        (setter.kind === 'uint' ? new Uint32Array(uniform.length) :
+            new Int32Array(uniform.length));
+  } else {
+    // compare as the values will be stored, or doubles that aren't exact
+    // float32s would never match
+    var changed = false;
+    for (var j = 0; j < value.length && !changed; j++) {
+      changed = last[j] !== CanvasLayerProgram.coerce_(setter.kind, value[j]);
+    }
+    if (!changed) {
+      return;
+    }
+  }
+
+  for (var k = 0; k < value.length; k++) {
+    last[k] = +value[k];
+  }
+  if (setter.arrayMethod.indexOf('Matrix') !== -1) {
+    gl[setter.arrayMethod](uniform.location, false, last);
+  } else {
+    gl[setter.arrayMethod](uniform.location, last);
+  }
+};
+
+/**
+ * Converts a value that fits a kind of uniform (see fitsKind_) to the number
+ * GL will store: a float32 for floats, an int32 for ints and bools, and a
+ * uint32 for uints. Scalars are cached as this and arrays in typed arrays of
+ * the same kind, so both compare equal to a repeated value.
+ * @param {string} kind
+ * @param {number|boolean} value
+ * @return {number}
+ * @private
+ */
+CanvasLayerProgram.coerce_ = function(kind, value) {
+  if (kind === 'float') {
+    return Math.fround(+value);
+  }
+
+  return kind === 'uint' ? value >>> 0 : value | 0;
+};
+
+/**
+ * Returns whether a single value, or one element of an array value, fits a
+ * kind of uniform: any number for floats, integers for ints, non-negative
+ * integers for uints, and booleans or integers for bools.
+ * @param {string} kind
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+CanvasLayerProgram.fitsKind_ = function(kind, value) {
+  if (typeof value === 'boolean') {
+    return kind === 'bool';
+  }
+  if (typeof value !== 'number') {
+    return false;
+  }
+  if (kind === 'float') {
+    return true;
+  }
+
+  return value % 1 === 0 && (kind !== 'uint' || value >= 0);
+};
+
+/**
+ * Describes a value that doesn't fit a uniform's type, for an error message.
+ * @param {string} name
+ * @param {!CanvasLayerProgram.Uniform_} uniform
+ * @param {*} value
+ * @return {string}
+ * @private
+ */
+CanvasLayerProgram.describeMismatch_ = function(name, uniform, value) {
+  var expected = {
+    'float': ['a number', 'numbers'],
+    'int': ['an integer', 'integers'],
+    'uint': ['a non-negative integer', 'non-negative integers'],
+    'bool': ['a boolean or integer', 'booleans or integers']
+  }[uniform.setter.kind];
+  expected = uniform.isArray ? uniform.length + ' ' + expected[1] :
+      expected[0];
+  var actual = JSON.stringify(value);
+  if (value && typeof value === 'object' && typeof value.length === 'number') {
+    actual = value.length + ' values of type ' + typeof value[0];
+    // with the right length, name the first element that doesn't fit
+    for (var i = 0; i < value.length && value.length === uniform.length;
+        i++) {
+      if (!CanvasLayerProgram.fitsKind_(uniform.setter.kind, value[i])) {
+        actual = JSON.stringify(value[i]) + ' at index ' + i;
+        break;
+      }
+    }
+  }
+
+  return 'Uniform "' + name + '" is a ' + uniform.type +
+      (uniform.length > uniform.setter.components ? ' array' : '') +
+      ' and takes ' + expected + ', not ' + actual + '.';
+};
+
+/**
+ * Compiles a shader, throwing a CanvasLayerProgram.ShaderError if it fails.
+ * @param {number} type The GL shader type.
+ * @param {string} typeName 'vertex' or 'fragment', for errors.
+ * @param {string} source
+ * @return {!WebGLShader}
+ * @private
+ */
+CanvasLayerProgram.prototype.compileShader_ = function(type, typeName,
+    source) {
+  var gl = this.gl_;
+  var shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) &&
+      !gl.isContextLost()) {
+    var log = gl.getShaderInfoLog(shader) || '';
+    gl.deleteShader(shader);
+    throw new CanvasLayerProgram.ShaderError(typeName, log, source);
+  }
+
+  return shader;
+};
+
+/**
+ * Matches a float precision statement in GLSL, capturing the precision.
+ * @type {!RegExp}
+ * @const
+ * @private
+ */
+CanvasLayerProgram.FLOAT_PRECISION_REGEX_ =
+    /^(\s*precision\s+)(\w+)(\s+float\s*;)/gm;
+
+/**
+ * Matches the #version directive and #extension directives at the start of
+ * GLSL, which the injected header must follow.
+ * @type {!RegExp}
+ * @const
+ * @private
+ */
+CanvasLayerProgram.LEADING_DIRECTIVES_REGEX_ =
+    /^(?:\s*#version[^\n]*\n)?(?:\s*#extension[^\n]*\n)*/;
+
+/**
+ * Injects #defines and, for a fragment shader, a float precision statement
+ * into a shader's source. They're placed after any #version directive and
+ * the #extension directives that follow it, which must come before anything
+ * other than preprocessor directives. A selected precision replaces any the
+ * source sets itself; a fragment shader without one is given mediump.
+ * @param {string} source
+ * @param {Object<string, *>|undefined} defines
+ * @param {?string|undefined} precision The precision for a fragment shader,
+ *     or null for its own, or undefined for a vertex shader.
+ * @return {string}
+ * @private
+ */
+CanvasLayerProgram.prepareSource_ = function(source, defines, precision) {
+  var header = [];
+  for (var name in defines) {
+    var value = defines[name];
+    if (value === true) {
+      header.push('#define ' + name);
+    } else if (value !== false && value !== null && value !== undefined) {
+      header.push('#define ' + name + ' ' + value);
+    }
+  }
+
+  if (precision !== undefined) {
+    if (precision !== null &&
+        CanvasLayerProgram.PRECISIONS_.indexOf(precision) === -1) {
+      throw new Error('"' + precision + '" is not a valid precision.');
+    }
+
+    var regex = CanvasLayerProgram.FLOAT_PRECISION_REGEX_;
+    regex.lastIndex = 0;
+    if (regex.test(source)) {
+      if (precision) {
+        source = source.replace(regex, '$1' + precision + '$3');
+      }
+    } else {
+      header.push('precision ' + (precision || 'mediump') + ' float;');
+    }
+  }
+
+  if (!header.length) {
+    return source;
+  }
+
+  var length =
+      CanvasLayerProgram.LEADING_DIRECTIVES_REGEX_.exec(source)[0].length;
+  return source.slice(0, length) + header.join('\n') + '\n' +
+      source.slice(length);
+};
+
+/**
+ * An error compiling or linking a program. The message includes the
+ * compiler's log and, for compile errors, the source lines each message
+ * refers to.
+ * @constructor
+ * @extends {Error}
+ * @param {string} type 'vertex', 'fragment' or 'link'.
+ * @param {string} log The compile or link info log.
+ * @param {?string} source The source compiled, or null for a link error.
+ */
+CanvasLayerProgram.ShaderError = function(type, log, source) {
+  /**
+   * What failed: 'vertex', 'fragment' or 'link'.
+   * @type {string}
+   */
+  this.type = type;
+
+  /**
+   * The compile or link info log.
+   * @type {string}
+   */
+  this.log = log;
+
+  /**
+   * The source compiled, after injection, or null for a link error.
+   * @type {?string}
+   */
+  this.source = source;
+
+  /**
+   * The messages in the log. line is the line of source they refer to, or
+   * null if none is given.
+   * @type {!Array<{line: ?number, message: string}>}
+   */
+  this.errors = CanvasLayerProgram.parseLog_(log);
+
+  this.name = 'CanvasLayerProgram.ShaderError';
+  this.message = (type === 'link' ? 'Program failed to link' :
+      'The ' + type + ' shader failed to compile') + ':\n' +
+      (source ? CanvasLayerProgram.annotateSource_(source, this.errors) :
+          log.replace(/\0/g, '').trim());
+
+  var error = new Error(this.message);
+  error.name = this.name;
+  this.stack = error.stack;
+};
+CanvasLayerProgram.ShaderError.prototype = Object.create(Error.prototype);
+CanvasLayerProgram.ShaderError.prototype.constructor =
+    CanvasLayerProgram.ShaderError;
+
+/**
+ * Splits an info log into its messages, e.g. "ERROR: 0:12: 'x' : undeclared
+ * identifier" becomes {line: 12, message: "ERROR: 'x' : undeclared
+ * identifier"}.
+ * @param {string} log
+ * @return {!Array<{line: ?number, message: string}>}
+ * @private
+ */
+CanvasLayerProgram.parseLog_ = function(log) {
+  var errors = [];
+  var lines = log.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var text = lines[i].replace(/\0/g, '').trim();
+    if (!text) {
+      continue;
+    }
+
+    var match = /^(\w+):\s*\d+:(\d+):\s*(.*)$/.exec(text);
+    if (match) {
+      errors.push({
+        line: parseInt(match[2], 10),
+        message: match[1] + ': ' + match[3]
+      });
+    } else {
+      errors.push({line: null, message: text});
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Formats the source lines errors refer to, each preceded by a little
+ * context and followed by its messages. Messages without a line are listed
+ * first.
+ * @param {string} source
+ * @param {!Array<{line: ?number, message: string}>} errors
+ * @return {string}
+ * @private
+ */
+CanvasLayerProgram.annotateSource_ = function(source, errors) {
+  var sourceLines = source.split('\n');
+  var width = String(sourceLines.length).length;
+  var output = [];
+
+  var messagesByLine = {};
+  var errorLines = [];
+  for (var i = 0; i < errors.length; i++) {
+    var line = errors[i].line;
+    if (line === null || line < 1 || line > sourceLines.length) {
+      output.push(errors[i].message);
+    } else {
+      if (!messagesByLine[line]) {
+        messagesByLine[line] = [];
+        errorLines.push(line);
+      }
+      messagesByLine[line].push(errors[i].message);
+    }
+  }
+  errorLines.sort(function(a, b) {
+    return a - b;
+  });
+
+  var lastShown = 0;
+  for (var j = 0; j < errorLines.length; j++) {
+    var errorLine = errorLines[j];
+    var first = Math.max(lastShown + 1,
+        errorLine - CanvasLayerProgram.CONTEXT_LINES_);
+    if (lastShown && first > lastShown + 1) {
+      output.push('...');
+    }
+
+    for (var n = first; n <= errorLine; n++) {
+      var number = String(n);
+      while (number.length < width) {
+        number = ' ' + number;
+      }
+      output.push((n === errorLine ? '> ' : '  ') + number + ' | ' +
+          sourceLines[n - 1]);
+    }
+
+    var indent = new Array(width + 6).join(' ');
+    for (var k = 0; k < messagesByLine[errorLine].length; k++) {
+      output.push(indent + '^ ' + messagesByLine[errorLine][k]);
+    }
+    lastShown = errorLine;
+  }
+
+  return output.join('\n');
+};
+
+return CanvasLayerProgram;
+
+}));
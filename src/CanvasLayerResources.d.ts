@@ -0,0 +1,94 @@
+/// <reference path="CanvasLayer.d.ts" />
+/// <reference path="CanvasLayerProgram.d.ts" />
+
+declare namespace CanvasLayerResources{
+    /**
+     * The number of live resources of each kind.
+     */
+    export interface Counts{
+        buffer:number;
+        texture:number;
+        framebuffer:number;
+        renderbuffer:number;
+        program:number;
+        total:number;
+    }
+}
+
+/**
+ * Creates and tracks the GPU resources of a CanvasLayer's WebGL context. Each
+ * resource can be given a scope, a name for the data it holds, so everything
+ * made for the old data can be released with releaseScope before the new data
+ * is loaded. Everything is released when the layer is disposed. When the
+ * context is lost, its resources are gone, so the registry forgets them;
+ * recreate them on the layer's 'contextrestored' event.
+ */
+declare class CanvasLayerResources {
+    /**
+     * @param layer The layer whose context the resources are created in.
+     */
+    constructor(layer:CanvasLayer.Layer);
+
+    /**
+     * Creates a tracked buffer.
+     * @return The buffer, or null if the context is lost.
+     */
+    createBuffer(scope?:string):WebGLBuffer|null;
+
+    /**
+     * Creates a tracked texture.
+     * @return The texture, or null if the context is lost.
+     */
+    createTexture(scope?:string):WebGLTexture|null;
+
+    /**
+     * Creates a tracked framebuffer.
+     * @return The framebuffer, or null if the context is lost.
+     */
+    createFramebuffer(scope?:string):WebGLFramebuffer|null;
+
+    /**
+     * Creates a tracked renderbuffer, e.g. for a framebuffer's depth buffer.
+     * @return The renderbuffer, or null if the context is lost.
+     */
+    createRenderbuffer(scope?:string):WebGLRenderbuffer|null;
+
+    /**
+     * Compiles and links a tracked CanvasLayerProgram, throwing a
+     * CanvasLayerProgram.ShaderError if either fails.
+     */
+    createProgram(options:CanvasLayerProgram.Options,
+        scope?:string):CanvasLayerProgram;
+
+    /**
+     * Deletes one tracked resource. Untracked resources are ignored.
+     * @return {boolean} Whether the resource was tracked.
+     */
+    release(resource:object):boolean;
+
+    /**
+     * Deletes every resource created with the given scope.
+     */
+    releaseScope(scope:string):void;
+
+    /**
+     * Deletes every tracked resource. The registry can still be used afterwards.
+     */
+    releaseAll():void;
+
+    /**
+     * Returns the number of live resources of each kind, for diagnostics. With
+     * scope, only those created with that scope are counted.
+     */
+    getCounts(scope?:string):CanvasLayerResources.Counts;
+
+    /**
+     * Deletes every tracked resource and detaches the registry from its layer. It
+     * can't be used afterwards. Called automatically when the layer is disposed.
+     */
+    dispose():void;
+}
+
+declare module 'canvaslayer/src/CanvasLayerResources.js' {
+    export = CanvasLayerResources;
+}
@@ -0,0 +1,306 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A registry of the WebGL buffers, textures, framebuffers and
+ * programs a CanvasLayer creates, so they can be released in groups when the
+ * data they hold is replaced and all at once when the layer is disposed.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['./CanvasLayerProgram'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./CanvasLayerProgram.js'));
+  } else {
+    root.CanvasLayerResources = factory(root.CanvasLayerProgram);
+  }
+}(typeof self !== 'undefined' ? self : this, function(CanvasLayerProgram) {
+
+/**
+ * Creates and tracks the GPU resources of a CanvasLayer's WebGL context. Each
+ * resource can be given a scope, a name for the data it holds, so everything
+ * made for the old data can be released with releaseScope before the new data
+ * is loaded:
+ * <pre>
+ *   var resources = new CanvasLayerResources(layer);
+ *   resources.releaseScope('points');
+ *   var buffer = resources.createBuffer('points');
+ * </pre>
+ * Everything is released when the layer is disposed (see
+ * CanvasLayer.prototype.dispose). When the context is lost, its resources are
+ * gone, so the registry forgets them; recreate them on the layer's
+ * 'contextrestored' event.
+ * @constructor
+ * @param {!CanvasLayer} layer The layer whose context (see
+ *     CanvasLayer.prototype.getContext) the resources are created in.
+ */
+function CanvasLayerResources(layer) {
+  var resources = this;
+
+  /**
+   * The layer, or null once the registry has been disposed.
+   * @private {CanvasLayer}
+   */
+  this.layer_ = layer;
+
+  /**
+   * The live resources, in the order they were created.
+   * @private {!Array<!CanvasLayerResources.Entry_>}
+   */
+  this.entries_ = [];
+
+  /**
+   * @private {!Array<!google.maps.MapsEventListener>}
+   */
+  this.listeners_ = [
+    layer.addListener('contextlost', function() {
+      resources.entries_ = [];
+    }),
+    layer.addListener('dispose', function() {
+      resources.dispose();
+    })
+  ];
+}
+
+/**
+ * A tracked resource.
+ * @typedef {{
+ *   resource: !Object,
+ *   kind: string,
+ *   scope: ?string
+ * }}
+ * @private
+ */
+CanvasLayerResources.Entry_;
+
+/**
+ * The kinds of resource, and the context method that deletes each. Programs
+ * are CanvasLayerPrograms, which delete themselves.
+ * @const {!Object<string, ?string>}
+ * @private
+ */
+CanvasLayerResources.KINDS_ = {
+  'buffer': 'deleteBuffer',
+  'texture': 'deleteTexture',
+  'framebuffer': 'deleteFramebuffer',
+  'renderbuffer': 'deleteRenderbuffer',
+  'program': null
+};
+
+/**
+ * Creates a tracked buffer.
+ * @param {string=} opt_scope
+ * @return {WebGLBuffer} The buffer, or null if the context is lost.
+ */
+CanvasLayerResources.prototype.createBuffer = function(opt_scope) {
+  return this.add_(this.getContext_().createBuffer(), 'buffer', opt_scope);
+};
+
+/**
+ * Creates a tracked texture.
+ * @param {string=} opt_scope
+ * @return {WebGLTexture} The texture, or null if the context is lost.
+ */
+CanvasLayerResources.prototype.createTexture = function(opt_scope) {
+  return this.add_(this.getContext_().createTexture(), 'texture', opt_scope);
+};
+
+/**
+ * Creates a tracked framebuffer.
+ * @param {string=} opt_scope
+ * @return {WebGLFramebuffer} The framebuffer, or null if the context is lost.
+ */
+CanvasLayerResources.prototype.createFramebuffer = function(opt_scope) {
+  return this.add_(this.getContext_().createFramebuffer(), 'framebuffer',
+      opt_scope);
+};
+
+/**
+ * Creates a tracked renderbuffer, e.g. for a framebuffer's depth buffer.
+ * @param {string=} opt_scope
+ * @return {WebGLRenderbuffer} The renderbuffer, or null if the context is
+ *     lost.
+ */
+CanvasLayerResources.prototype.createRenderbuffer = function(opt_scope) {
+  return this.add_(this.getContext_().createRenderbuffer(), 'renderbuffer',
+      opt_scope);
+};
+
+/**
+ * Compiles and links a tracked CanvasLayerProgram.
+ * @param {!CanvasLayerProgram.Options} options
+ * @param {string=} opt_scope
+ * @return {!CanvasLayerProgram}
+ * @throws {CanvasLayerProgram.ShaderError} If compiling or linking fails.
+ */
+CanvasLayerResources.prototype.createProgram = function(options, opt_scope) {
+  var program = new CanvasLayerProgram(this.getContext_(), options);
+  return this.add_(program, 'program', opt_scope);
+};
+
+/**
+ * Deletes one tracked resource. Untracked resources are ignored.
+ * @param {Object} resource
+ * @return {boolean} Whether the resource was tracked.
+ */
+CanvasLayerResources.prototype.release = function(resource) {
+  for (var i = 0; i < this.entries_.length; i++) {
+    if (this.entries_[i].resource === resource) {
+      this.delete_(this.entries_.splice(i, 1)[0]);
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Deletes every resource created with the given scope.
+ * @param {string} scope
+ */
+CanvasLayerResources.prototype.releaseScope = function(scope) {
+  var kept = [];
+  var released = [];
+  for (var i = 0; i < this.entries_.length; i++) {
+    var entry = this.entries_[i];
+    (entry.scope === scope ? released : kept).push(entry);
+  }
+
+  this.entries_ = kept;
+  for (i = 0; i < released.length; i++) {
+    this.delete_(released[i]);
+  }
+};
+
+/**
+ * Deletes every tracked resource. The registry can still be used afterwards.
+ */
+CanvasLayerResources.prototype.releaseAll = function() {
+  var released = this.entries_;
+  this.entries_ = [];
+  for (var i = 0; i < released.length; i++) {
+    this.delete_(released[i]);
+  }
+};
+
+/**
+ * Returns the number of live resources of each kind, for diagnostics. With
+ * opt_scope, only those created with that scope are counted.
+ * @param {string=} opt_scope
+ * @return {!CanvasLayerResources.Counts}
+ */
+CanvasLayerResources.prototype.getCounts = function(opt_scope) {
+  var counts = {};
+  for (var kind in CanvasLayerResources.KINDS_) {
+    counts[kind] = 0;
+  }
+  counts.total = 0;
+
+  for (var i = 0; i < this.entries_.length; i++) {
+    var entry = this.entries_[i];
+    if (opt_scope === undefined || entry.scope === opt_scope) {
+      counts[entry.kind]++;
+      counts.total++;
+    }
+  }
+
+  return /** @type {!CanvasLayerResources.Counts} */ (counts);
+};
+
+/**
+ * The number of live resources of each kind.
+ * @typedef {{
+ *   buffer: number,
+ *   texture: number,
+ *   framebuffer: number,
+ *   renderbuffer: number,
+ *   program: number,
+ *   total: number
+ * }}
+ */
+CanvasLayerResources.Counts;
+
+/**
+ * Deletes every tracked resource and detaches the registry from its layer. It
+ * can't be used afterwards. Called automatically when the layer is disposed.
+ */
+CanvasLayerResources.prototype.dispose = function() {
+  if (!this.layer_) {
+    return;
+  }
+
+  this.releaseAll();
+  for (var i = 0; i < this.listeners_.length; i++) {
+    this.listeners_[i].remove();
+  }
+  this.listeners_ = [];
+  this.layer_ = null;
+};
+
+/**
+ * @return {!WebGLRenderingContext} The layer's context.
+ * @private
+ */
+CanvasLayerResources.prototype.getContext_ = function() {
+  if (!this.layer_) {
+    throw new Error('CanvasLayerResources has been disposed.');
+  }
+
+  var gl = this.layer_.getContext();
+  if (!gl || !gl.createBuffer) {
+    throw new Error('CanvasLayerResources requires a layer with a WebGL ' +
+        'context.');
+  }
+  return gl;
+};
+
+/**
+ * Tracks a newly created resource.
+ * @param {Object} resource The resource, or null if the context is lost, in
+ *     which case it isn't tracked.
+ * @param {string} kind
+ * @param {string=} opt_scope
+ * @return {Object} resource.
+ * @private
+ */
+CanvasLayerResources.prototype.add_ = function(resource, kind, opt_scope) {
+  if (resource) {
+    this.entries_.push({
+      resource: resource,
+      kind: kind,
+      scope: opt_scope === undefined ? null : opt_scope
+    });
+  }
+  return resource;
+};
+
+/**
+ * Deletes a resource that is no longer tracked.
+ * @param {!CanvasLayerResources.Entry_} entry
+ * @private
+ */
+CanvasLayerResources.prototype.delete_ = function(entry) {
+  var method = CanvasLayerResources.KINDS_[entry.kind];
+  if (method) {
+    this.layer_.getContext()[method](entry.resource);
+  } else {
+    entry.resource.dispose();
+  }
+};
+
+return CanvasLayerResources;
+
+}));
@@ -0,0 +1,107 @@
+/// <reference path="CanvasLayerClock.d.ts" />
+
+declare namespace CanvasLayerTimeline{
+    /**
+     * Options for a CanvasLayerTimeline.
+     */
+    export interface Options{
+        /** The map to add the control to. */
+        map?:google.maps.Map;
+        /**
+         * Where on the map to place the control. Default is
+         * google.maps.ControlPosition.BOTTOM_CENTER.
+         */
+        position?:google.maps.ControlPosition;
+        /**
+         * The clock rates offered as speeds. Default is real time up to a day per
+         * second.
+         */
+        rates?:number[];
+        /**
+         * The length of timeline to show when the clock is unbounded, in
+         * milliseconds. Default is a day.
+         */
+        span?:number;
+        /** Whether times are shown in UTC, rather than local time. Default is true. */
+        utc?:boolean;
+        /** Markers to place along the timeline. See setMarkers. */
+        markers?:Marker[];
+    }
+
+    /**
+     * A point of interest on the timeline. Clicking it seeks the clock there.
+     */
+    export interface Marker{
+        /** The time of the marker, in milliseconds. */
+        time:number;
+        /** A description, shown on hover. */
+        label:string;
+        /** The CSS color of the marker. Default is '#d33'. */
+        color?:string;
+    }
+}
+
+/**
+ * A timeline control for a CanvasLayerClock (see CanvasLayerClock.js), to be
+ * placed on a map like the built-in controls. It has a slider spanning the
+ * clock's bounds, a play/pause button, a speed selector and a display of the
+ * time, which can be clicked to switch between UTC and local time. Markers,
+ * e.g. for events in the layer's data, can be placed along the slider.
+ * When the clock has no bounds, the slider covers a window around the current
+ * time, which moves once the time leaves it.
+ *
+ * Keyboard shortcuts, while the control has focus: Space to play or pause,
+ * Left and Right to step by 1% of the timeline (10% with Shift), Home and End
+ * to jump to its start or end, - and + to change speed and U to switch between
+ * UTC and local time.
+ */
+declare class CanvasLayerTimeline {
+    /**
+     * @param {!CanvasLayerClock} clock The clock to drive.
+     * @param {CanvasLayerTimeline.Options=} opt_options
+     */
+    constructor(clock:CanvasLayerClock, options?:CanvasLayerTimeline.Options);
+
+    /** The control's element, as added to the map. */
+    element:HTMLDivElement;
+
+    /**
+     * Adds the control to a map, or removes it from its map if map is null.
+     */
+    setMap(map:google.maps.Map|null):void;
+
+    /**
+     * @return {google.maps.Map} The map the control is on, or null.
+     */
+    getMap():google.maps.Map|null;
+
+    /**
+     * Sets the markers placed along the timeline, replacing any already set.
+     * Markers outside of the timeline are hidden.
+     */
+    setMarkers(markers:CanvasLayerTimeline.Marker[]):void;
+
+    /**
+     * @return The markers on the timeline.
+     */
+    getMarkers():CanvasLayerTimeline.Marker[];
+
+    /**
+     * Sets whether times are shown in UTC, rather than local time.
+     */
+    setUtc(utc:boolean):void;
+
+    /**
+     * @return {boolean} Whether times are shown in UTC.
+     */
+    isUtc():boolean;
+
+    /**
+     * Removes the control from its map and stops following the clock.
+     */
+    dispose():void;
+}
+
+declare module 'canvaslayer/src/CanvasLayerTimeline.js' {
+    export = CanvasLayerTimeline;
+}
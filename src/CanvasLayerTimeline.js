@@ -0,0 +1,655 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A Maps API custom control for playing and scrubbing a
+ * CanvasLayerClock.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CanvasLayerTimeline = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+
+/**
+ * A timeline control for a CanvasLayerClock (see CanvasLayerClock.js), to be
+ * placed on a map like the built-in controls. It has a slider spanning the
+ * clock's bounds, a play/pause button, a speed selector and a display of the
+ * time, which can be clicked to switch between UTC and local time. Markers,
+ * e.g. for events in the layer's data, can be placed along the slider.
+ * When the clock has no bounds, the slider covers a window around the current
+ * time, which moves once the time leaves it.
+ * <p>
+ * Keyboard shortcuts, while the control has focus:
+ * <ul>
+ *   <li>Space: play or pause.
+ *   <li>Left, Right: step back or forward by 1% of the timeline (10% with
+ *       Shift).
+ *   <li>Home, End: jump to the start or end of the timeline.
+ *   <li>-, +: the next slower or faster speed.
+ *   <li>U: switch between UTC and local time.
+ * </ul>
+ * @constructor
+ * @param {!CanvasLayerClock} clock The clock to drive.
+ * @param {CanvasLayerTimeline.Options=} opt_options
+ */
+function CanvasLayerTimeline(clock, opt_options) {
+  var options = opt_options || {};
+
+  /**
+   * @private {!CanvasLayerClock}
+   */
+  this.clock_ = clock;
+
+  /**
+   * @private {google.maps.Map}
+   */
+  this.map_ = null;
+
+  /**
+   * @private {google.maps.ControlPosition}
+   */
+  this.position_ = options.position !== undefined ? options.position :
+      google.maps.ControlPosition.BOTTOM_CENTER;
+
+  /**
+   * The speeds offered, as clock rates.
+   * @private {!Array<number>}
+   */
+  this.rates_ = options.rates || CanvasLayerTimeline.DEFAULT_RATES_;
+
+  /**
+   * The length of the window shown when the clock is unbounded, in
+   * milliseconds.
+   * @private {number}
+   */
+  this.span_ = options.span || CanvasLayerTimeline.DEFAULT_SPAN_;
+
+  /**
+   * The start of the window shown when the clock is unbounded, or null if it
+   * hasn't been placed.
+   * @private {?number}
+   */
+  this.windowStart_ = null;
+
+  /**
+   * If true, times are shown in UTC, otherwise in local time.
+   * @private {boolean}
+   */
+  this.utc_ = options.utc !== undefined ? !!options.utc : true;
+
+  /**
+   * @private {!Array<!CanvasLayerTimeline.Marker>}
+   */
+  this.markers_ = [];
+
+  /**
+   * The range of the timeline the markers were last placed for.
+   * @private {?{min: number, max: number}}
+   */
+  this.markerRange_ = null;
+
+  var create = CanvasLayerTimeline.createElement_;
+
+  /**
+   * The control's element, as added to the map.
+   * @type {!HTMLDivElement}
+   */
+  this.element = create('div', {
+    display: 'flex',
+    alignItems: 'center',
+    margin: '10px',
+    padding: '4px 8px',
+    background: '#fff',
+    borderRadius: '2px',
+    boxShadow: 'rgba(0, 0, 0, 0.3) 0 1px 4px -1px',
+    font: '12px Roboto, Arial, sans-serif',
+    color: '#333'
+  });
+  this.element.tabIndex = 0;
+
+  /**
+   * @private {!HTMLButtonElement}
+   */
+  this.playButton_ = create('button', {
+    width: '28px',
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    fontSize: '14px'
+  });
+
+  var track = create('div', {
+    position: 'relative',
+    width: '320px',
+    margin: '0 8px'
+  });
+
+  /**
+   * @private {!HTMLInputElement}
+   */
+  this.slider_ = create('input', {
+    width: '100%',
+    margin: '0',
+    display: 'block'
+  });
+  this.slider_.type = 'range';
+  this.slider_.step = 'any';
+
+  /**
+   * Holds the marker elements, over the slider.
+   * @private {!HTMLDivElement}
+   */
+  this.markerTrack_ = create('div', {
+    position: 'absolute',
+    left: '0',
+    right: '0',
+    top: '-6px',
+    height: '6px'
+  });
+
+  /**
+   * @private {!HTMLButtonElement}
+   */
+  this.timeLabel_ = create('button', {
+    minWidth: '180px',
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    font: 'inherit',
+    fontVariantNumeric: 'tabular-nums'
+  });
+  this.timeLabel_.title = 'Switch between UTC and local time';
+
+  /**
+   * @private {!HTMLSelectElement}
+   */
+  this.rateSelect_ = create('select', {
+    font: 'inherit'
+  });
+  this.rateSelect_.title = 'Playback speed';
+
+  track.appendChild(this.markerTrack_);
+  track.appendChild(this.slider_);
+  this.element.appendChild(this.playButton_);
+  this.element.appendChild(track);
+  this.element.appendChild(this.timeLabel_);
+  this.element.appendChild(this.rateSelect_);
+
+  var timeline = this;
+
+  /**
+   * Listeners on the clock, removed by dispose.
+   * @private {!Array<!google.maps.MapsEventListener>}
+   */
+  this.clockListeners_ = [
+    clock.addListener('tick', function() {
+      timeline.updateTime_();
+    }),
+    clock.addListener('timechange', function() {
+      timeline.updateTime_();
+    }),
+    clock.addListener('play', function() {
+      timeline.updatePlaying_();
+    }),
+    clock.addListener('pause', function() {
+      timeline.updatePlaying_();
+    }),
+    clock.addListener('ratechange', function() {
+      timeline.updateRates_();
+    })
+  ];
+
+  this.playButton_.addEventListener('click', function() {
+    timeline.togglePlaying_();
+  }, false);
+  this.slider_.addEventListener('input', function() {
+    clock.seek(Number(timeline.slider_.value));
+  }, false);
+  this.timeLabel_.addEventListener('click', function() {
+    timeline.setUtc(!timeline.utc_);
+  }, false);
+  this.rateSelect_.addEventListener('change', function() {
+    clock.setRate(Number(timeline.rateSelect_.value));
+  }, false);
+  this.element.addEventListener('keydown', function(event) {
+    timeline.handleKey_(event);
+  }, false);
+
+  this.updatePlaying_();
+  this.updateRates_();
+  this.setMarkers(options.markers || []);
+
+  if (options.map) {
+    this.setMap(options.map);
+  }
+}
+
+/**
+ * Options for a CanvasLayerTimeline.
+ * <ul>
+ *   <li>map: the map to add the control to.
+ *   <li>position: where on the map to place the control. Default is
+ *       google.maps.ControlPosition.BOTTOM_CENTER.
+ *   <li>rates: the clock rates offered as speeds. Default is real time up to
+ *       a day per second.
+ *   <li>span: the length of timeline to show when the clock is unbounded, in
+ *       milliseconds. Default is a day.
+ *   <li>utc: whether times are shown in UTC, rather than local time. Default
+ *       is true.
+ *   <li>markers: markers to place along the timeline. See setMarkers.
+ * </ul>
+ * @typedef {{
+ *   map: (google.maps.Map|undefined),
+ *   position: (google.maps.ControlPosition|undefined),
+ *   rates: (!Array<number>|undefined),
+ *   span: (number|undefined),
+ *   utc: (boolean|undefined),
+ *   markers: (!Array<!CanvasLayerTimeline.Marker>|undefined)
+ * }}
+ */
+CanvasLayerTimeline.Options;
+
+/**
+ * A point of interest on the timeline. Clicking it seeks the clock there.
+ * <ul>
+ *   <li>time: the time of the marker, in milliseconds.
+ *   <li>label: a description, shown on hover.
+ *   <li>color: the CSS color of the marker. Default is '#d33'.
+ * </ul>
+ * @typedef {{
+ *   time: number,
+ *   label: string,
+ *   color: (string|undefined)
+ * }}
+ */
+CanvasLayerTimeline.Marker;
+
+/**
+ * The default speeds, from real time to a day per second.
+ * @type {!Array<number>}
+ * @const
+ * @private
+ */
+CanvasLayerTimeline.DEFAULT_RATES_ = [1, 60, 600, 3600, 21600, 86400];
+
+/**
+ * The default window shown for an unbounded clock: one day.
+ * @type {number}
+ * @const
+ * @private
+ */
+CanvasLayerTimeline.DEFAULT_SPAN_ = 24 * 3600 * 1000;
+
+/**
+ * Units for labeling speeds, largest first.
+ * @type {!Array<{seconds: number, name: string}>}
+ * @const
+ * @private
+ */
+CanvasLayerTimeline.RATE_UNITS_ = [
+  {seconds: 86400, name: 'day'},
+  {seconds: 3600, name: 'h'},
+  {seconds: 60, name: 'min'}
+];
+
+/**
+ * Adds the control to a map, or removes it from its map if map is null.
+ * @param {google.maps.Map} map
+ */
+CanvasLayerTimeline.prototype.setMap = function(map) {
+  if (this.map_) {
+    var controls = this.map_.controls[this.position_];
+    var index = controls.getArray().indexOf(this.element);
+    if (index !== -1) {
+      controls.removeAt(index);
+    }
+  }
+
+  this.map_ = map;
+  if (map) {
+    map.controls[this.position_].push(this.element);
+    this.updateTime_();
+  }
+};
+
+/**
+ * @return {google.maps.Map} The map the control is on, or null.
+ */
+CanvasLayerTimeline.prototype.getMap = function() {
+  return this.map_;
+};
+
+/**
+ * Sets the markers placed along the timeline, replacing any already set.
+ * Markers outside of the timeline are hidden.
+ * @param {!Array<!CanvasLayerTimeline.Marker>} markers
+ */
+CanvasLayerTimeline.prototype.setMarkers = function(markers) {
+  this.markers_ = markers.slice();
+  this.markerRange_ = null;
+  this.updateTime_();
+};
+
+/**
+ * @return {!Array<!CanvasLayerTimeline.Marker>} The markers on the timeline.
+ */
+CanvasLayerTimeline.prototype.getMarkers = function() {
+  return this.markers_.slice();
+};
+
+/**
+ * Sets whether times are shown in UTC, rather than local time.
+ * @param {boolean} utc
+ */
+CanvasLayerTimeline.prototype.setUtc = function(utc) {
+  this.utc_ = !!utc;
+  this.markerRange_ = null;
+  this.updateTime_();
+};
+
+/**
+ * @return {boolean} Whether times are shown in UTC.
+ */
+CanvasLayerTimeline.prototype.isUtc = function() {
+  return this.utc_;
+};
+
+/**
+ * Removes the control from its map and stops following the clock.
+ */
+CanvasLayerTimeline.prototype.dispose = function() {
+  this.setMap(null);
+  for (var i = 0; i < this.clockListeners_.length; i++) {
+    this.clockListeners_[i].remove();
+  }
+  this.clockListeners_ = [];
+};
+
+/**
+ * Returns the range the timeline covers: the clock's bounds, or a window
+ * around the current time if it has none.
+ * @return {{min: number, max: number}}
+ * @private
+ */
+CanvasLayerTimeline.prototype.getRange_ = function() {
+  var bounds = this.clock_.getBounds();
+  if (bounds.min !== null && bounds.max !== null) {
+    return {min: bounds.min, max: bounds.max};
+  }
+
+  var time = this.clock_.getTime();
+  if (this.windowStart_ === null || time < this.windowStart_ ||
+      time > this.windowStart_ + this.span_) {
+    this.windowStart_ = time - this.span_ / 2;
+  }
+  return {min: this.windowStart_, max: this.windowStart_ + this.span_};
+};
+
+/**
+ * Updates the slider and time display, and the markers if the range of the
+ * timeline has changed.
+ * @private
+ */
+CanvasLayerTimeline.prototype.updateTime_ = function() {
+  var time = this.clock_.getTime();
+  var range = this.getRange_();
+
+  this.slider_.min = String(range.min);
+  this.slider_.max = String(range.max);
+  this.slider_.value = String(time);
+  this.timeLabel_.textContent = this.formatTime_(time);
+
+  var markerRange = this.markerRange_;
+  if (!markerRange || markerRange.min !== range.min ||
+      markerRange.max !== range.max) {
+    this.markerRange_ = range;
+    this.placeMarkers_(range);
+  }
+};
+
+/**
+ * Recreates the marker elements for a range of the timeline.
+ * @param {{min: number, max: number}} range
+ * @private
+ */
+CanvasLayerTimeline.prototype.placeMarkers_ = function(range) {
+  var track = this.markerTrack_;
+  while (track.firstChild) {
+    track.removeChild(track.firstChild);
+  }
+
+  var clock = this.clock_;
+  for (var i = 0; i < this.markers_.length; i++) {
+    var marker = this.markers_[i];
+    if (marker.time < range.min || marker.time > range.max) {
+      continue;
+    }
+
+    var element = CanvasLayerTimeline.createElement_('div', {
+      position: 'absolute',
+      left: (marker.time - range.min) / (range.max - range.min) * 100 + '%',
+      width: '2px',
+      height: '100%',
+      marginLeft: '-1px',
+      background: marker.color || '#d33',
+      cursor: 'pointer'
+    });
+    element.title = marker.label + ' (' + this.formatTime_(marker.time) + ')';
+    element.addEventListener('click', clock.seek.bind(clock, marker.time),
+        false);
+    track.appendChild(element);
+  }
+};
+
+/**
+ * Updates the play/pause button for the state of the clock.
+ * @private
+ */
+CanvasLayerTimeline.prototype.updatePlaying_ = function() {
+  var playing = this.clock_.isPlaying();
+  this.playButton_.textContent = playing ? '❚❚' : '▶';
+  this.playButton_.title = playing ? 'Pause' : 'Play';
+};
+
+/**
+ * Fills the speed selector, including the clock's rate if it isn't one of
+ * the configured speeds, and selects that rate.
+ * @private
+ */
+CanvasLayerTimeline.prototype.updateRates_ = function() {
+  var rate = this.clock_.getRate();
+  var rates = this.rates_.slice();
+  if (rates.indexOf(rate) === -1) {
+    rates.push(rate);
+    rates.sort(function(a, b) {
+      return a - b;
+    });
+  }
+
+  var select = this.rateSelect_;
+  while (select.firstChild) {
+    select.removeChild(select.firstChild);
+  }
+  for (var i = 0; i < rates.length; i++) {
+    var option = document.createElement('option');
+    option.value = String(rates[i]);
+    option.textContent = CanvasLayerTimeline.formatRate_(rates[i]);
+    select.appendChild(option);
+  }
+  select.value = String(rate);
+};
+
+/**
+ * Plays the clock if paused, or pauses it if playing.
+ * @private
+ */
+CanvasLayerTimeline.prototype.togglePlaying_ = function() {
+  if (this.clock_.isPlaying()) {
+    this.clock_.pause();
+  } else {
+    this.clock_.play();
+  }
+};
+
+/**
+ * Handles the keyboard shortcuts.
+ * @param {!KeyboardEvent} event
+ * @private
+ */
+CanvasLayerTimeline.prototype.handleKey_ = function(event) {
+  // leave the selector's own keys alone
+  if (event.target === this.rateSelect_ || event.ctrlKey || event.metaKey ||
+      event.altKey) {
+    return;
+  }
+
+  var clock = this.clock_;
+  var range = this.getRange_();
+  var step = (range.max - range.min) * (event.shiftKey ? 0.1 : 0.01);
+
+  switch (event.key) {
+    case ' ':
+      this.togglePlaying_();
+      break;
+    case 'ArrowLeft':
+      clock.seek(Math.max(clock.getTime() - step, range.min));
+      break;
+    case 'ArrowRight':
+      clock.seek(Math.min(clock.getTime() + step, range.max));
+      break;
+    case 'Home':
+      clock.seek(range.min);
+      break;
+    case 'End':
+      clock.seek(range.max);
+      break;
+    case '-':
+      this.stepRate_(-1);
+      break;
+    case '+':
+    case '=':
+      this.stepRate_(1);
+      break;
+    case 'u':
+    case 'U':
+      this.setUtc(!this.utc_);
+      break;
+    default:
+      return;
+  }
+
+  event.preventDefault();
+};
+
+/**
+ * Sets the clock to the next slower or faster of the configured speeds.
+ * @param {number} direction -1 for slower, 1 for faster.
+ * @private
+ */
+CanvasLayerTimeline.prototype.stepRate_ = function(direction) {
+  var rate = this.clock_.getRate();
+  var rates = this.rates_;
+  for (var i = 0; i < rates.length; i++) {
+    var candidate = rates[direction > 0 ? i : rates.length - 1 - i];
+    if (direction > 0 ? candidate > rate : candidate < rate) {
+      this.clock_.setRate(candidate);
+      return;
+    }
+  }
+};
+
+/**
+ * Formats a time for display, in UTC or local time.
+ * @param {number} time The time, in milliseconds.
+ * @return {string}
+ * @private
+ */
+CanvasLayerTimeline.prototype.formatTime_ = function(time) {
+  var date = new Date(time);
+  var pad = CanvasLayerTimeline.pad_;
+  var utc = this.utc_;
+
+  var text = (utc ? date.getUTCFullYear() : date.getFullYear()) + '-' +
+      pad(1 + (utc ? date.getUTCMonth() : date.getMonth())) + '-' +
+      pad(utc ? date.getUTCDate() : date.getDate()) + ' ' +
+      pad(utc ? date.getUTCHours() : date.getHours()) + ':' +
+      pad(utc ? date.getUTCMinutes() : date.getMinutes()) + ':' +
+      pad(utc ? date.getUTCSeconds() : date.getSeconds());
+
+  if (utc) {
+    return text + ' UTC';
+  }
+
+  // name the local offset, e.g. UTC-05:00
+  var offset = -date.getTimezoneOffset();
+  var sign = offset < 0 ? '-' : '+';
+  offset = Math.abs(offset);
+  return text + ' UTC' + sign + pad(Math.floor(offset / 60)) + ':' +
+      pad(offset % 60);
+};
+
+/**
+ * Labels a clock rate, e.g. '1 h/s' for 3600.
+ * @param {number} rate
+ * @return {string}
+ * @private
+ */
+CanvasLayerTimeline.formatRate_ = function(rate) {
+  var units = CanvasLayerTimeline.RATE_UNITS_;
+  for (var i = 0; i < units.length; i++) {
+    if (Math.abs(rate) >= units[i].seconds && rate % units[i].seconds === 0) {
+      return rate / units[i].seconds + ' ' + units[i].name + '/s';
+    }
+  }
+
+  return rate + '×';
+};
+
+/**
+ * Pads a number to two digits.
+ * @param {number} value
+ * @return {string}
+ * @private
+ */
+CanvasLayerTimeline.pad_ = function(value) {
+  return value < 10 ? '0' + value : String(value);
+};
+
+/**
+ * Creates an element with the given inline styles.
+ * @param {string} tagName
+ * @param {!Object<string, string>} style
+ * @return {!HTMLElement}
+ * @private
+ */
+CanvasLayerTimeline.createElement_ = function(tagName, style) {
+  var element = document.createElement(tagName);
+  for (var name in style) {
+    element.style[name] = style[name];
+  }
+
+  return element;
+};
+
+return CanvasLayerTimeline;
+
+}));
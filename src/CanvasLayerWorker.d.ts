@@ -0,0 +1,58 @@
+/// <reference path="CanvasLayer.d.ts" />
+
+declare namespace CanvasLayerWorker{
+    /**
+     * The state of the layer for a single update in the worker. The same as
+     * CanvasLayer.FrameContext, except that topLeft and topLeftWorld are plain
+     * objects, and it also carries the map matrix and the canvas.
+     */
+    export interface FrameContext extends CanvasLayer.ViewState{
+        timestamp:number;
+        delta:number;
+        frameNumber:number;
+        reasons:CanvasLayer.UpdateReasons;
+        time:number|null;
+        canvas:OffscreenCanvas;
+    }
+
+    export interface Options{
+        resizeHandler?:(frame:FrameContext)=>void;
+        updateHandler?:(frame:FrameContext)=>void;
+    }
+
+    export class Worker {
+        /**
+         * Receives a CanvasLayer's canvas in a Web Worker and calls the resize and
+         * update handlers when the layer on the main thread schedules an update.
+         * Only one CanvasLayerWorker should be created per worker.
+         */
+        constructor(options?:Options);
+
+        /** The layer's canvas, once it has been received from the main thread. */
+        canvas:OffscreenCanvas;
+
+        /** The latest view state sent by the layer, or null before the first. */
+        view:CanvasLayer.ViewState;
+
+        /**
+         * Set a function that will be called before the update handler when the
+         * canvas has been resized.
+         */
+        setResizeHandler(resizeHandler?:(frame:FrameContext)=>void):void;
+
+        /**
+         * Set a function that will be called when a repaint of the canvas is
+         * required.
+         */
+        setUpdateHandler(updateHandler?:(frame:FrameContext)=>void):void;
+
+        /**
+         * Stops listening for messages from the layer.
+         */
+        dispose():void;
+    }
+}
+
+declare module 'canvaslayer/src/CanvasLayerWorker.js' {
+    export = CanvasLayerWorker.Worker;
+}
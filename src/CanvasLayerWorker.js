@@ -0,0 +1,228 @@
+/**
+ * Copyright 2026 The CanvasLayer Authors. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The worker half of a CanvasLayer drawn with renderInWorker.
+ * Receives the layer's canvas and view state from the main thread and runs
+ * the resize and update handlers in the worker.
+ */
+
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CanvasLayerWorker = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function() {
+
+/**
+ * Receives a CanvasLayer's canvas in a Web Worker and calls the resize and
+ * update handlers when the layer on the main thread schedules an update.
+ * Handlers are passed a CanvasLayerWorker.FrameContext. Only one
+ * CanvasLayerWorker should be created per worker.
+ * @constructor
+ * @param {{
+ *   resizeHandler: (function(!CanvasLayerWorker.FrameContext)|undefined),
+ *   updateHandler: (function(!CanvasLayerWorker.FrameContext)|undefined)
+ * }=} opt_options
+ */
+function CanvasLayerWorker(opt_options) {
+  /**
+   * The layer's canvas, once it has been received from the main thread.
+   * @type {OffscreenCanvas}
+   */
+  this.canvas = null;
+
+  /**
+   * The latest view state sent by the layer, or null before the first.
+   * @type {?CanvasLayer.ViewState}
+   */
+  this.view = null;
+
+  /**
+   * A user-supplied function called before the update handler when the canvas
+   * has been resized.
+   * @type {?function(!CanvasLayerWorker.FrameContext)}
+   * @private
+   */
+  this.resizeHandler_ = null;
+
+  /**
+   * A user-supplied function called whenever an update is required.
+   * @type {?function(!CanvasLayerWorker.FrameContext)}
+   * @private
+   */
+  this.updateHandler_ = null;
+
+  var worker = this;
+
+  /**
+   * The listener for messages from the layer.
+   * @type {function(!MessageEvent)}
+   * @private
+   */
+  this.messageFunction_ = function(event) {
+    worker.handleMessage_(event.data);
+  };
+  self.addEventListener('message', this.messageFunction_, false);
+
+  if (opt_options) {
+    if (opt_options.resizeHandler !== undefined) {
+      this.setResizeHandler(opt_options.resizeHandler);
+    }
+    if (opt_options.updateHandler !== undefined) {
+      this.setUpdateHandler(opt_options.updateHandler);
+    }
+  }
+}
+
+/**
+ * Set a function that will be called before the update handler when the
+ * canvas has been resized. If opt_resizeHandler is null or unspecified, any
+ * existing callback is removed.
+ * @param {?function(!CanvasLayerWorker.FrameContext)=} opt_resizeHandler
+ */
+CanvasLayerWorker.prototype.setResizeHandler = function(opt_resizeHandler) {
+  this.resizeHandler_ = opt_resizeHandler || null;
+};
+
+/**
+ * Set a function that will be called when a repaint of the canvas is
+ * required. If opt_updateHandler is null or unspecified, any existing
+ * callback is removed.
+ * @param {?function(!CanvasLayerWorker.FrameContext)=} opt_updateHandler
+ */
+CanvasLayerWorker.prototype.setUpdateHandler = function(opt_updateHandler) {
+  this.updateHandler_ = opt_updateHandler || null;
+};
+
+/**
+ * Stops listening for messages from the layer.
+ */
+CanvasLayerWorker.prototype.dispose = function() {
+  self.removeEventListener('message', this.messageFunction_, false);
+};
+
+/**
+ * Handles a message from the layer. Messages not from a CanvasLayer are
+ * ignored, so the worker can carry other traffic too.
+ * @param {*} data The message data.
+ * @private
+ */
+CanvasLayerWorker.prototype.handleMessage_ = function(data) {
+  if (!data || typeof data.type !== 'string') {
+    return;
+  }
+
+  switch (data.type) {
+    case 'canvaslayer:init':
+      this.canvas = data.canvas;
+      this.view = data.view;
+      break;
+
+    case 'canvaslayer:view':
+      this.view = data.view;
+      break;
+
+    case 'canvaslayer:update':
+      this.view = data.view;
+      this.update_(data.frame, data.view);
+      break;
+  }
+};
+
+/**
+ * Runs the handlers for an update scheduled by the layer, then reports back
+ * that the frame has been drawn.
+ * @param {!Object} frameData The per-frame part of the update message.
+ * @param {!CanvasLayer.ViewState} view The view to draw.
+ * @private
+ */
+CanvasLayerWorker.prototype.update_ = function(frameData, view) {
+  var start = self.performance ? self.performance.now() : Date.now();
+
+  var frame = {
+    timestamp: frameData.timestamp,
+    delta: frameData.delta,
+    frameNumber: frameData.frameNumber,
+    reasons: frameData.reasons,
+    topLeft: view.topLeft,
+    topLeftWorld: view.topLeftWorld,
+    zoom: view.zoom,
+    scale: view.scale,
+    resolutionScale: view.resolutionScale,
+    width: view.width,
+    height: view.height,
+    cssWidth: view.cssWidth,
+    cssHeight: view.cssHeight,
+    time: frameData.time,
+    mapMatrix: view.mapMatrix,
+    canvas: this.canvas
+  };
+
+  // resize here rather than on the view message so the cleared canvas is
+  // redrawn before it is next displayed
+  if (frameData.needsResize) {
+    this.canvas.width = view.width;
+    this.canvas.height = view.height;
+    if (this.resizeHandler_) {
+      this.resizeHandler_(frame);
+    }
+  }
+
+  if (this.updateHandler_) {
+    this.updateHandler_(frame);
+  }
+
+  var end = self.performance ? self.performance.now() : Date.now();
+  self.postMessage({
+    type: 'canvaslayer:rendered',
+    frameNumber: frameData.frameNumber,
+    duration: end - start
+  });
+};
+
+/**
+ * The state of the layer for a single update in the worker. The same as
+ * CanvasLayer.FrameContext, except that topLeft and topLeftWorld are plain
+ * {lat, lng} and {x, y} objects, and it also carries the map matrix (see
+ * CanvasLayer.prototype.getMapMatrix) and the canvas.
+ * @typedef {{
+ *   timestamp: number,
+ *   delta: number,
+ *   frameNumber: number,
+ *   reasons: !CanvasLayer.UpdateReasons,
+ *   topLeft: {lat: number, lng: number},
+ *   topLeftWorld: {x: number, y: number},
+ *   zoom: number,
+ *   scale: number,
+ *   resolutionScale: number,
+ *   width: number,
+ *   height: number,
+ *   cssWidth: number,
+ *   cssHeight: number,
+ *   time: ?number,
+ *   mapMatrix: !Float32Array,
+ *   canvas: OffscreenCanvas
+ * }}
+ */
+CanvasLayerWorker.FrameContext;
+
+return CanvasLayerWorker;
+
+}));